@@ -1,7 +1,15 @@
+const crypto = require('crypto');
 const express = require('express');
 const logger = require('../config/logger');
 const { connectMongoDB, connectRedis } = require('../config/database');
 const disputeRoutes = require('../routes/disputeRoutes');
+const abiRoutes = require('../routes/abiRoutes');
+const signatureRoutes = require('../routes/signatureRoutes');
+const addressRoutes = require('../routes/addressRoutes');
+const webhookRoutes = require('../routes/webhookRoutes');
+const apiKeyRoutes = require('../routes/apiKeyRoutes');
+const authRoutes = require('../routes/authRoutes');
+const webhookService = require('../services/webhookService');
 
 // Initialize Express app
 const app = express();
@@ -29,7 +37,51 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Routes
+/**
+ * Whether a request carries `Authorization: Bearer <CRON_SECRET>`, which
+ * Vercel sends with its scheduled invocations
+ */
+const isCronRequest = (req) => {
+  if (!process.env.CRON_SECRET) return false;
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const presented = Buffer.from(req.get('Authorization') || '');
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+};
+
+// Functions are frozen between requests, so failed webhook deliveries are
+// retried by a Vercel cron job calling this endpoint instead of a timer
+app.get('/api/cron/webhooks', async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Cron secret required'
+    });
+  }
+
+  try {
+    const retried = await webhookService.retryDue();
+    res.json({
+      success: true,
+      data: {
+        retried
+      }
+    });
+  } catch (error) {
+    logger.error(`Webhook retry sweep failed: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Routes (disputeRoutes ends with the catch-all 404, so it is mounted last)
+app.use('/api/v1', abiRoutes);
+app.use('/api/v1', signatureRoutes);
+app.use('/api/v1', addressRoutes);
+app.use('/api/v1', webhookRoutes);
+app.use('/api/v1', apiKeyRoutes);
+app.use('/api/v1', authRoutes);
 app.use('/api/v1', disputeRoutes);
 
 // Global error handling middleware
@@ -0,0 +1,14 @@
+// Scopes an API key can carry. `admin` grants every other scope as well.
+const API_KEY_SCOPES = [
+  // Transaction analysis and address activity, which spend RPC and AI quota
+  'analyze',
+  'disputes:read',
+  // Filing disputes and moving them through their lifecycle
+  'disputes:write',
+  // API keys, webhooks, the ABI registry, custom signatures and the cache
+  'admin'
+];
+
+module.exports = {
+  API_KEY_SCOPES
+};
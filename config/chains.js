@@ -0,0 +1,115 @@
+const fs = require('fs');
+const logger = require('./logger');
+
+// Chain the service analyzes when a request does not name one (Monad Testnet)
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID) || 10143;
+
+/**
+ * RPC endpoints of a chain: RPC_URLS_<chainId> (comma separated) when set,
+ * otherwise the given defaults
+ */
+const rpcUrls = (chainId, ...defaults) => {
+  const configured = process.env[`RPC_URLS_${chainId}`];
+  if (configured) {
+    return configured.split(',').map(url => url.trim()).filter(Boolean);
+  }
+  return defaults.filter(Boolean);
+};
+
+// Etherscan's multichain API serves every chain it indexes from one URL
+const etherscanV2 = () => ({
+  type: 'etherscan',
+  name: 'Etherscan',
+  baseUrl: 'https://api.etherscan.io/v2/api',
+  apiKey: process.env.ETHERSCAN_API_KEY,
+  chainParam: true
+});
+
+// Chains the service can analyze. `explorers` are tried in order when
+// fetching ABIs; each `type` names an adapter in services/explorers.
+// `finalityBlocks` is the number of confirmations after which a block is
+// not expected to be reorganized.
+const BUILT_IN_CHAINS = [
+  {
+    chainId: 10143,
+    name: 'Monad Testnet',
+    nativeSymbol: 'MON',
+    finalityBlocks: 3,
+    rpcUrls: rpcUrls(10143, process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
+    explorers: [
+      {
+        type: 'etherscan',
+        name: 'MonadScan',
+        baseUrl: 'https://testnet.monadscan.com/api',
+        apiKey: process.env.MONADSCAN_API_KEY
+      },
+      {
+        type: 'monadexplorer',
+        name: 'MonadExplorer',
+        baseUrl: 'https://testnet.monadexplorer.com/api',
+        apiKey: process.env.MONADEXPLORER_API_KEY
+      }
+    ]
+  },
+  {
+    chainId: 143,
+    name: 'Monad Mainnet',
+    nativeSymbol: 'MON',
+    finalityBlocks: 3,
+    rpcUrls: rpcUrls(143, 'https://rpc.monad.xyz'),
+    explorers: [etherscanV2()]
+  },
+  {
+    chainId: 1,
+    name: 'Ethereum Mainnet',
+    nativeSymbol: 'ETH',
+    finalityBlocks: 64,
+    rpcUrls: rpcUrls(1, process.env.ETHEREUM_RPC_URL),
+    explorers: [etherscanV2()]
+  }
+];
+
+/**
+ * Built-in chains, with chains from CHAINS_FILE (a JSON array with the same
+ * structure) added or replacing them by chainId
+ */
+const loadChains = () => {
+  const chains = {};
+  for (const chain of BUILT_IN_CHAINS) {
+    chains[chain.chainId] = chain;
+  }
+
+  const chainsFile = process.env.CHAINS_FILE;
+  if (!chainsFile) return chains;
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(chainsFile, 'utf8'));
+    if (!Array.isArray(custom)) {
+      throw new Error('chains file must contain an array');
+    }
+    for (const chain of custom) {
+      chains[chain.chainId] = {
+        explorers: [],
+        ...chain,
+        rpcUrls: rpcUrls(chain.chainId, ...(chain.rpcUrls || []))
+      };
+    }
+    logger.info(`Loaded ${custom.length} chains from ${chainsFile}`);
+  } catch (error) {
+    logger.error(`Failed to load chains from ${chainsFile}, using built-in chains: ${error.message}`);
+  }
+  return chains;
+};
+
+const CHAINS = loadChains();
+
+/**
+ * Registry entry for a chain id, or null when the chain is unknown
+ */
+const getChain = (chainId = DEFAULT_CHAIN_ID) => CHAINS[chainId] || null;
+
+module.exports = {
+  DEFAULT_CHAIN_ID,
+  CHAINS,
+  getChain
+};
@@ -46,8 +46,12 @@ const connectRedis = async () => {
 
 const getRedisClient = () => redisClient;
 
+// Mongoose buffers queries while disconnected, so callers check this first
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
 module.exports = {
   connectMongoDB,
   connectRedis,
-  getRedisClient
+  getRedisClient,
+  isMongoConnected
 }; 
\ No newline at end of file
@@ -0,0 +1,39 @@
+// Dispute case lifecycle. transactionStatus describes the chain transaction;
+// these statuses describe the dispute case itself.
+const DISPUTE_STATUSES = [
+  'open',
+  'analyzing',
+  'awaiting_review',
+  'resolved',
+  'rejected',
+  'appealed',
+  'closed'
+];
+
+// Allowed transitions, keyed by current status
+const DISPUTE_TRANSITIONS = {
+  open: ['analyzing', 'closed'],
+  analyzing: ['awaiting_review', 'open'],
+  awaiting_review: ['resolved', 'rejected'],
+  resolved: ['appealed', 'closed'],
+  rejected: ['appealed', 'closed'],
+  appealed: ['analyzing', 'awaiting_review', 'closed'],
+  closed: []
+};
+
+// Statuses the parties may move their own dispute to: appealing a decision
+// or closing the case. Every other move is a reviewer's.
+const PARTY_STATUSES = ['appealed', 'closed'];
+
+// Entering one of these statuses stamps resolvedAt
+const DECISION_STATUSES = ['resolved', 'rejected'];
+
+const canTransition = (from, to) => (DISPUTE_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  DISPUTE_STATUSES,
+  DISPUTE_TRANSITIONS,
+  DECISION_STATUSES,
+  PARTY_STATUSES,
+  canTransition
+};
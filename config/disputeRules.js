@@ -0,0 +1,99 @@
+// Default dispute rules, evaluated in order before the AI is consulted.
+// The first rule whose `when` condition matches decides the dispute.
+//
+// Conditions are declarative:
+//   { field: 'transaction.status', op: 'eq', value: 'failed' }
+//   { field: 'claim.addresses', op: 'disjoint', other: 'derived.parties' }
+//   { all: [...] }, { any: [...] }, { not: {...} }
+// Operators: eq, neq, gt, gte, lt, lte, in, nin, exists, empty, notEmpty,
+// includes, disjoint. Numeric comparisons accept decimal strings (wei).
+//
+// `verdict.reasoning` may reference context fields as {{path}}, and `cite`
+// lists event arrays whose logIndex values are cited by the verdict.
+// Set DISPUTE_RULES_FILE to a JSON file with the same structure to replace
+// these rules.
+module.exports = [
+  {
+    id: 'pending-transaction',
+    description: 'The transaction has not been mined yet, so its outcome is unknown',
+    when: { field: 'transaction.status', op: 'eq', value: 'pending' },
+    verdict: {
+      verdict: 'NOT_POSSIBLE',
+      confidence: 0.95,
+      refund: { amount: null, token: null },
+      reasoning: 'The transaction is still pending (first seen at {{transaction.mempool.firstSeenAt}}) and has not been executed, so the dispute cannot be decided yet. Nothing has left the sender\'s account; it can be resubmitted with a higher fee or cancelled with a transaction using nonce {{transaction.nonce}}.'
+    }
+  },
+  {
+    id: 'dropped-transaction',
+    description: 'The transaction left the mempool without being mined',
+    when: { field: 'transaction.status', op: 'eq', value: 'dropped' },
+    verdict: {
+      verdict: 'NO_REFUND',
+      confidence: 0.9,
+      refund: { amount: null, token: null },
+      reasoning: 'The transaction was dropped from the mempool without being mined. It never executed, so no value, tokens or gas left the sender and there is nothing to refund.'
+    }
+  },
+  {
+    id: 'replaced-transaction',
+    description: 'Another transaction with the same sender and nonce was mined instead',
+    when: { field: 'transaction.status', op: 'eq', value: 'replaced' },
+    verdict: {
+      verdict: 'NO_REFUND',
+      confidence: 0.9,
+      refund: { amount: null, token: null },
+      reasoning: 'The transaction never executed: nonce {{transaction.nonce}} of the sender was used by another transaction ({{transaction.replacement.hash}}, {{transaction.replacement.kind}}). Any funds moved by that transaction should be disputed on its own hash.'
+    }
+  },
+  {
+    id: 'reverted-transaction',
+    description: 'The transaction reverted, so no value or tokens left the sender',
+    when: { field: 'transaction.status', op: 'eq', value: 'failed' },
+    verdict: {
+      verdict: 'NO_REFUND',
+      confidence: 0.95,
+      refund: { amount: null, token: null },
+      reasoning: 'The transaction reverted in block {{transaction.blockNumber}} ({{transaction.revert.message}}). A reverted transaction does not transfer any value or tokens; only the gas fee ({{transaction.gasUsed}} gas) was consumed, so there is nothing to refund.'
+    }
+  },
+  {
+    id: 'zero-value-transfer',
+    description: 'The transaction moved no native value and only zero-value transfers',
+    when: {
+      all: [
+        { field: 'transaction.status', op: 'eq', value: 'success' },
+        { field: 'transaction.value', op: 'eq', value: '0' },
+        { field: 'derived.transferCount', op: 'gt', value: 0 },
+        { field: 'derived.nonZeroTransferCount', op: 'eq', value: 0 },
+        { field: 'derived.internalTransferCount', op: 'eq', value: 0 }
+      ]
+    },
+    cite: ['events.transfers'],
+    verdict: {
+      verdict: 'NO_REFUND',
+      confidence: 0.9,
+      refund: { amount: null, token: null },
+      reasoning: 'The transaction sent no native value and every transfer it emitted had a value of zero, so no funds moved and there is nothing to refund.'
+    }
+  },
+  {
+    id: 'transfer-to-different-address',
+    description: 'Funds went to addresses other than the one named in the dispute',
+    when: {
+      all: [
+        { field: 'transaction.status', op: 'eq', value: 'success' },
+        { field: 'claim.addresses', op: 'notEmpty' },
+        { field: 'derived.recipients', op: 'notEmpty' },
+        { field: 'claim.addresses', op: 'disjoint', other: 'derived.parties' }
+      ]
+    },
+    cite: ['events.transfers'],
+    verdict: {
+      verdict: 'NOT_POSSIBLE',
+      confidence: 0.8,
+      refund: { amount: null, token: null },
+      reasoning: 'The transaction delivered funds to {{derived.recipients}}, not to the address named in the dispute ({{claim.addresses}}). The transfer executed as signed and cannot be reversed.'
+    }
+  }
+];
@@ -0,0 +1,35 @@
+// Kinds of evidence a party can attach to a dispute
+const EVIDENCE_TYPES = [
+  // The party's own account of what happened
+  'statement',
+  // An off-chain message, e.g. from the seller's support or a chat
+  'message',
+  // A file such as a screenshot or an order receipt
+  'file',
+  // Another transaction the dispute relies on
+  'transaction'
+];
+
+// Accepted file types and the leading bytes their content must start with.
+// Text types have no signature and must be valid UTF-8 instead.
+const FILE_TYPES = {
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'image/webp': [Buffer.from('RIFF')],
+  'application/pdf': [Buffer.from('%PDF-')],
+  'text/plain': null,
+  'application/json': null
+};
+
+const MAX_FILE_BYTES = parseInt(process.env.EVIDENCE_MAX_FILE_BYTES) || 5 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_ITEMS_PER_DISPUTE = parseInt(process.env.EVIDENCE_MAX_ITEMS) || 20;
+
+module.exports = {
+  EVIDENCE_TYPES,
+  FILE_TYPES,
+  MAX_FILE_BYTES,
+  MAX_TEXT_LENGTH,
+  MAX_ITEMS_PER_DISPUTE
+};
@@ -0,0 +1,111 @@
+// Bundled signature database used to name events, calls and errors from
+// contracts without an ABI. Event definitions mark the conventional
+// indexed parameters; other layouts are still tried when the topic count
+// does not match. Extend at runtime through POST /api/v1/signatures.
+module.exports = {
+  events: [
+    // Tokens
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+    'event URI(string value, uint256 indexed id)',
+    'event Deposit(address indexed dst, uint256 wad)',
+    'event Withdrawal(address indexed src, uint256 wad)',
+
+    // ERC-4626 vaults
+    'event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)',
+    'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)',
+
+    // AMMs
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+    'event PairCreated(address indexed token0, address indexed token1, address pair, uint256 index)',
+
+    // Staking and rewards
+    'event Staked(address indexed user, uint256 amount)',
+    'event Withdrawn(address indexed user, uint256 amount)',
+    'event RewardPaid(address indexed user, uint256 reward)',
+    'event Claimed(address indexed account, uint256 amount)',
+
+    // Access control and upgrades
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+    'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+    'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+    'event Paused(address account)',
+    'event Unpaused(address account)',
+    'event Upgraded(address indexed implementation)',
+    'event AdminChanged(address previousAdmin, address newAdmin)',
+    'event Initialized(uint8 version)',
+    'event Initialized(uint64 version)'
+  ],
+
+  functions: [
+    // Tokens
+    'function transfer(address to, uint256 amount)',
+    'function transferFrom(address from, address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function increaseAllowance(address spender, uint256 addedValue)',
+    'function decreaseAllowance(address spender, uint256 subtractedValue)',
+    'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+    'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function mint(address to, uint256 amount)',
+    'function burn(uint256 amount)',
+    'function deposit()',
+    'function deposit(uint256 amount)',
+    'function withdraw()',
+    'function withdraw(uint256 amount)',
+
+    // Batching
+    'function multicall(bytes[] data)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function aggregate((address target, bytes callData)[] calls)',
+    'function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls)',
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls)',
+    'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls)',
+
+    // AMM routers
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+    'function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline)',
+    'function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+
+    // Staking
+    'function stake(uint256 amount)',
+    'function unstake(uint256 amount)',
+    'function claim()',
+    'function getReward()'
+  ],
+
+  errors: [
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+    'error ERC20InvalidReceiver(address receiver)',
+    'error ERC721NonexistentToken(uint256 tokenId)',
+    'error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)',
+    'error ERC721InsufficientApproval(address operator, uint256 tokenId)',
+    'error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)',
+    'error OwnableUnauthorizedAccount(address account)',
+    'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+    'error ReentrancyGuardReentrantCall()',
+    'error EnforcedPause()',
+    'error SafeERC20FailedOperation(address token)',
+    'error AddressInsufficientBalance(address account)',
+    'error FailedInnerCall()'
+  ]
+};
@@ -0,0 +1,18 @@
+// Dispute events a webhook subscription can receive
+const WEBHOOK_EVENTS = [
+  // A dispute was filed and stored
+  'dispute.created',
+  // An analysis of the dispute completed and a verdict is available
+  'dispute.analyzed',
+  // The dispute entered a decision status (resolved or rejected)
+  'dispute.resolved',
+  // Any status transition
+  'dispute.status_changed'
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES
+};
@@ -0,0 +1,177 @@
+const abiRegistryService = require('../services/abiRegistryService');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+const logger = require('../config/logger');
+
+/**
+ * Map registry errors to HTTP responses
+ */
+const handleServiceError = (res, error) => {
+  if (error.message.includes('ABI not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'ABI not found'
+    });
+  }
+
+  if (error.message.includes('Invalid ABI') || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('version conflict')) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+const chainIdFrom = (value) => (value ? parseInt(value) : DEFAULT_CHAIN_ID);
+
+/**
+ * Upload an ABI as a new version for a contract address
+ */
+const uploadABI = async (req, res) => {
+  try {
+    const { abi, chainId, label, uploadedBy } = req.body;
+    const entry = await abiRegistryService.uploadABI(req.params.address, abi, {
+      chainId: chainIdFrom(chainId),
+      label,
+      uploadedBy
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('ABI upload error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Get the current ABI and version list for a contract address
+ */
+const getABI = async (req, res) => {
+  try {
+    const chainId = chainIdFrom(req.query.chainId);
+    const [current, versions] = await Promise.all([
+      abiRegistryService.getLatestABI(req.params.address, chainId),
+      abiRegistryService.listVersions(req.params.address, chainId)
+    ]);
+
+    if (!current) {
+      throw new Error('ABI not found');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        current,
+        versions
+      }
+    });
+
+  } catch (error) {
+    logger.error('ABI lookup error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Get one ABI version for a contract address
+ */
+const getABIVersion = async (req, res) => {
+  try {
+    const entry = await abiRegistryService.getABIVersion(
+      req.params.address,
+      chainIdFrom(req.query.chainId),
+      parseInt(req.params.version)
+    );
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('ABI version lookup error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List registered ABIs
+ */
+const listABIs = async (req, res) => {
+  try {
+    const result = await abiRegistryService.listABIs(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('ABI listing error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Delete one ABI version
+ */
+const deleteABIVersion = async (req, res) => {
+  try {
+    const result = await abiRegistryService.deleteABIVersion(
+      req.params.address,
+      chainIdFrom(req.query.chainId),
+      parseInt(req.params.version)
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('ABI deletion error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Delete every ABI version for a contract address
+ */
+const deleteABIs = async (req, res) => {
+  try {
+    const result = await abiRegistryService.deleteABIs(req.params.address, chainIdFrom(req.query.chainId));
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('ABI deletion error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+module.exports = {
+  uploadABI,
+  getABI,
+  getABIVersion,
+  listABIs,
+  deleteABIVersion,
+  deleteABIs
+};
@@ -0,0 +1,58 @@
+const addressActivityService = require('../services/addressActivityService');
+const logger = require('../config/logger');
+const { sessionAddress, isReviewer } = require('../middleware/auth');
+
+/**
+ * Map address activity errors to HTTP responses
+ */
+const handleServiceError = (res, error) => {
+  if (error.message.includes('Unsupported chain')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('RPC unavailable') || error.message.includes('RPC endpoints disagree')) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * List an address's recent transactions and token transfers, flagging
+ * those a dispute was already opened for
+ */
+const getAddressActivity = async (req, res) => {
+  try {
+    const { chainId, page, limit } = req.query;
+
+    const activity = await addressActivityService.getActivity(req.params.address, {
+      chainId,
+      page,
+      limit,
+      party: sessionAddress(req),
+      reviewer: isReviewer(req)
+    });
+
+    res.json({
+      success: true,
+      data: activity
+    });
+
+  } catch (error) {
+    logger.error(`Address activity error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+module.exports = {
+  getAddressActivity
+};
@@ -0,0 +1,122 @@
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../config/logger');
+
+/**
+ * Map API key service errors to HTTP responses
+ */
+const handleServiceError = (res, error) => {
+  if (error.message.includes('API key not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  if (error.message.includes('already revoked')) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Create an API key. The key is only returned in this response.
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimit, expiresAt, createdBy } = req.body;
+    const { apiKey, key } = await apiKeyService.createKey({
+      name,
+      scopes,
+      rateLimit,
+      expiresAt,
+      createdBy: createdBy || (req.apiKey ? req.apiKey.name : undefined)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+
+  } catch (error) {
+    logger.error(`API key creation error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List API keys, without revoked ones unless `includeRevoked` is set
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const result = await apiKeyService.listKeys(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`API key listing error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Get an API key's name, scopes, limits and last use
+ */
+const getApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.getKey(req.params.id);
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+
+  } catch (error) {
+    logger.error(`API key lookup error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Revoke an API key
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.params.id);
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+
+  } catch (error) {
+    logger.error(`API key revocation error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey
+};
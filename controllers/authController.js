@@ -0,0 +1,103 @@
+const siweService = require('../services/siweService');
+const logger = require('../config/logger');
+
+/**
+ * Map Sign-In with Ethereum errors to HTTP responses
+ */
+const handleServiceError = (res, error) => {
+  if (error.message.includes('not available')) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('SIWE')) {
+    return res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Issue a nonce to put in a SIWE message
+ */
+const createNonce = async (req, res) => {
+  try {
+    const nonce = await siweService.createNonce();
+
+    res.status(201).json({
+      success: true,
+      data: nonce
+    });
+
+  } catch (error) {
+    logger.error(`SIWE nonce error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Verify a signed SIWE message and return a session token for its address
+ */
+const verifySignIn = async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    const { token, session } = await siweService.verify(message, signature);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        ...session
+      }
+    });
+
+  } catch (error) {
+    logger.warn(`SIWE verification failed: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * The signed-in address and session expiry
+ */
+const getSession = async (req, res) => {
+  res.json({
+    success: true,
+    data: req.siweSession
+  });
+};
+
+/**
+ * End the session of the presented token
+ */
+const signOut = async (req, res) => {
+  try {
+    await siweService.revokeSession(req.get('Authorization').replace(/^Bearer\s+/i, ''));
+
+    res.json({
+      success: true,
+      data: {
+        address: req.siweSession.address
+      }
+    });
+
+  } catch (error) {
+    logger.error(`SIWE sign-out error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+module.exports = {
+  createNonce,
+  verifySignIn,
+  getSession,
+  signOut
+};
@@ -1,6 +1,104 @@
-const blockchainService = require('../utils/blockchain');
+const disputeService = require('../services/disputeService');
 const aiService = require('../services/aiService');
+const blockchainService = require('../utils/blockchain');
 const logger = require('../config/logger');
+const { DEFAULT_CHAIN_ID, CHAINS } = require('../config/chains');
+const { sessionAddress, isReviewer } = require('../middleware/auth');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleServiceError = (res, error) => {
+  if (error.message.includes('Transaction not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transaction not found'
+    });
+  }
+
+  if (error.message.includes('Dispute not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dispute not found'
+    });
+  }
+
+  if (error.message.includes('Evidence not found') || error.message.includes('no file content')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Evidence already attached') ||
+      error.message.includes('Evidence limit reached') ||
+      error.message.includes('Evidence cannot be added')) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('not a party') || error.message.includes('Only reviewers')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Invalid status transition') || error.message.includes('changed concurrently')) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('AI service') ||
+      error.message.includes('receipt is not available') ||
+      error.message.includes('cache is not available') ||
+      error.message.includes('RPC unavailable') ||
+      error.message.includes('RPC endpoints disagree')) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Contract address could not be determined') ||
+      error.message.includes('Invalid evidence') ||
+      error.message.includes('AI provider') ||
+      error.message.includes('Unsupported chain') ||
+      error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Whether cached analyses may be used: `cache: false` in the body or a
+ * `Cache-Control: no-cache` header skips the cache
+ */
+const readCacheOption = (req) => {
+  if (req.body.cache === false) return false;
+  return !/no-cache/i.test(req.get('Cache-Control') || '');
+};
+
+/**
+ * Who acts on a dispute, for its history and evidence: the signed-in
+ * address, or the API key's name
+ */
+const actorOf = (req) => {
+  if (req.siweSession) return req.siweSession.address;
+  if (req.apiKey) return `api-key:${req.apiKey.name}`;
+  return 'anonymous';
+};
 
 /**
  * Analyze any blockchain transaction
@@ -8,96 +106,291 @@ const logger = require('../config/logger');
 const analyzeTransaction = async (req, res) => {
   try {
 
-    const { txHash, contractAddress: inputContractAddress, disputeDescription } = req.body;
+    const { txHash, contractAddress, disputeDescription, aiProvider, trace, confirmations, timeout, chainId } = req.body;
+    const cache = readCacheOption(req);
+
+    // Get comprehensive transaction analysis (and AI analysis if a dispute is described)
+    const data = await disputeService.analyze({ txHash, contractAddress, disputeDescription, aiProvider, trace, cache, confirmations, timeout, chainId });
+
+    // Return comprehensive response
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Transaction analysis error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Analyze several transactions, optionally deciding a dispute over them
+ */
+const analyzeBatch = async (req, res) => {
+  try {
+    const { txHashes, disputeDescription, aiProvider, trace, chainId } = req.body;
+    const cache = readCacheOption(req);
+    const data = await disputeService.analyzeBatch({ txHashes, disputeDescription, aiProvider, trace, cache, chainId });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Batch analysis error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Drop the cached analyses of a transaction
+ */
+const invalidateAnalysisCache = async (req, res) => {
+  try {
+    const chainId = req.query.chainId || DEFAULT_CHAIN_ID;
+    const data = await disputeService.invalidateAnalysis({ txHash: req.params.txHash, chainId });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Analysis cache invalidation error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Create and store a dispute from a transaction analysis
+ */
+const createDispute = async (req, res) => {
+  try {
+    const { txHash, contractAddress, disputeDescription, aiProvider, trace, confirmations, timeout, evidence, chainId } = req.body;
+    const cache = readCacheOption(req);
+    const dispute = await disputeService.createDispute({
+      txHash,
+      contractAddress,
+      disputeDescription,
+      aiProvider,
+      trace,
+      cache,
+      confirmations,
+      timeout,
+      evidence,
+      submittedBy: actorOf(req),
+      party: sessionAddress(req),
+      chainId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: dispute
+    });
+
+  } catch (error) {
+    logger.error('Dispute creation error:', error.message);
+    handleServiceError(res, error);
+  }
+};
 
-    // Validate input: only txHash is required
-    if (!txHash) {
-      return res.status(400).json({
+/**
+ * Get a stored dispute by id
+ */
+const getDispute = async (req, res) => {
+  try {
+    const dispute = await disputeService.getDisputeById(req.params.id, { party: sessionAddress(req) });
+    if (!dispute) {
+      return res.status(404).json({
         success: false,
-        error: 'Transaction hash is required'
+        error: 'Dispute not found'
       });
     }
 
-    let contractAddress = inputContractAddress;
-
-    // If contractAddress is not provided, try to fetch it from the transaction
-    if (!contractAddress) {
-      try {
-        const transaction = await blockchainService.provider.getTransaction(txHash);
-        if (!transaction) {
-          return res.status(404).json({
-            success: false,
-            error: 'Transaction not found'
-          });
-        }
-        // Use the 'to' field as contract address if it looks like a contract (not a normal wallet)
-        contractAddress = transaction.to;
-        // Optionally, you could add logic to check if 'to' is a contract address
-      } catch (err) {
-        logger.error('Error fetching transaction for contract address:', err.message);
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to fetch contract address from transaction'
-        });
-      }
-    }
+    res.json({
+      success: true,
+      data: dispute
+    });
 
+  } catch (error) {
+    logger.error('Dispute lookup error:', error.message);
+    handleServiceError(res, error);
+  }
+};
 
-    // Proceed even if contractAddress is not found; pass null/undefined to analysis
+/**
+ * List stored disputes with filters and pagination
+ */
+const listDisputes = async (req, res) => {
+  try {
+    const result = await disputeService.listDisputes({ ...req.query, party: sessionAddress(req) });
 
-    logger.info(`Analyzing transaction: ${txHash} for contract: ${contractAddress}`);
+    res.json({
+      success: true,
+      data: result
+    });
 
-    // Get comprehensive transaction analysis
-    const analysis = await blockchainService.analyzeTransaction(txHash, contractAddress);
+  } catch (error) {
+    logger.error('Dispute listing error:', error.message);
+    handleServiceError(res, error);
+  }
+};
 
-    // If dispute description is provided, get AI analysis
-    let aiAnalysis = null;
-    if (disputeDescription) {
-      aiAnalysis = await aiService.analyzeDispute(
-        txHash,
-        contractAddress,
-        disputeDescription,
-        analysis.events,
-        analysis.transaction
-      );
-    }
+/**
+ * Attach a statement, message, file or related transaction to a dispute,
+ * with the verdict it was decided again with, if it was
+ */
+const addEvidence = async (req, res) => {
+  try {
+    const { evidence: [evidence], verdict } = await disputeService.addEvidence(req.params.id, [req.body], {
+      party: sessionAddress(req),
+      submittedBy: actorOf(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        evidence,
+        verdict
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Evidence submission error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List the evidence attached to a dispute
+ */
+const listEvidence = async (req, res) => {
+  try {
+    const evidence = await disputeService.listEvidence(req.params.id, { party: sessionAddress(req) });
 
-    // Return comprehensive response
     res.json({
       success: true,
       data: {
-        txHash,
-        contractAddress,
-        disputeDescription: disputeDescription || null,
-        aiAnalysis,
-        transaction: analysis.transaction,
-        events: analysis.events,
-        contractState: analysis.contractState,
-        analysis: analysis.analysis
+        evidence
       }
     });
 
   } catch (error) {
-    logger.error('Transaction analysis error:', error.message);
-    
-    if (error.message.includes('Transaction not found')) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transaction not found'
-      });
-    }
+    logger.error(`Evidence listing error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
 
-    if (error.message.includes('AI service')) {
-      return res.status(503).json({
-        success: false,
-        error: error.message
-      });
+/**
+ * Download the file of a file evidence item, with its SHA-256 in
+ * `X-Content-SHA256`
+ */
+const getEvidenceContent = async (req, res) => {
+  try {
+    const evidence = await disputeService.getEvidence(req.params.id, req.params.evidenceId, { party: sessionAddress(req) });
+    if (!evidence.content) {
+      throw new Error('Evidence has no file content');
     }
 
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
+    // Sets Content-Disposition with an RFC 5987 filename* for names
+    // outside Latin-1
+    res.attachment(evidence.filename);
+    res.set({
+      'Content-Type': evidence.mimeType,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Content-SHA256': evidence.contentHash
     });
+    res.send(evidence.content);
+
+  } catch (error) {
+    logger.error(`Evidence download error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Move a dispute to a new lifecycle status
+ */
+const transitionDispute = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const dispute = await disputeService.transitionDispute(req.params.id, status, {
+      triggeredBy: actorOf(req),
+      reason,
+      party: sessionAddress(req),
+      reviewer: isReviewer(req)
+    });
+
+    res.json({
+      success: true,
+      data: dispute
+    });
+
+  } catch (error) {
+    logger.error('Dispute transition error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Get the status history of a dispute
+ */
+const getDisputeHistory = async (req, res) => {
+  try {
+    const history = await disputeService.getDisputeHistory(req.params.id, { party: sessionAddress(req) });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Dispute history error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List the AI providers that can be selected per request
+ */
+const listAIProviders = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        providers: aiService.listProviders(),
+        overrideAllowed: aiService.allowProviderOverride
+      }
+    });
+  } catch (error) {
+    logger.error('AI provider listing error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List the chains transactions can be analyzed on
+ */
+const listChains = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        chains: Object.values(CHAINS).map(chain => ({
+          chainId: chain.chainId,
+          name: chain.name,
+          nativeSymbol: chain.nativeSymbol,
+          configured: chain.rpcUrls.length > 0,
+          explorers: chain.explorers.map(explorer => explorer.name || explorer.type),
+          default: chain.chainId === DEFAULT_CHAIN_ID
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Chain listing error:', error.message);
+    handleServiceError(res, error);
   }
 };
 
@@ -106,11 +399,15 @@ const analyzeTransaction = async (req, res) => {
  */
 const healthCheck = async (req, res) => {
   try {
+    const rpc = blockchainService.getRpcHealth();
+    const degraded = rpc.some(pool => !pool.endpoints.some(endpoint => endpoint.healthy));
+
     res.json({
       success: true,
       data: {
-        status: 'healthy',
-        timestamp: new Date().toISOString()
+        status: degraded ? 'degraded' : 'healthy',
+        timestamp: new Date().toISOString(),
+        rpc
       }
     });
   } catch (error) {
@@ -123,5 +420,17 @@ const healthCheck = async (req, res) => {
 
 module.exports = {
   analyzeTransaction,
+  analyzeBatch,
+  invalidateAnalysisCache,
+  createDispute,
+  getDispute,
+  listDisputes,
+  transitionDispute,
+  getDisputeHistory,
+  addEvidence,
+  listEvidence,
+  getEvidenceContent,
+  listAIProviders,
+  listChains,
   healthCheck
 }; 
\ No newline at end of file
@@ -0,0 +1,116 @@
+const signatureService = require('../services/signatureService');
+const logger = require('../config/logger');
+
+/**
+ * Map signature service errors to HTTP responses
+ */
+const handleServiceError = (res, error) => {
+  if (error.message.includes('Signature not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Signature not found'
+    });
+  }
+
+  if (error.message.includes('Invalid signature') || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Look up candidate signatures for a topic hash or 4-byte selector
+ */
+const lookupSignature = async (req, res) => {
+  try {
+    const candidates = await signatureService.lookup(req.params.hash);
+
+    res.json({
+      success: true,
+      data: {
+        hash: req.params.hash.toLowerCase(),
+        candidates
+      }
+    });
+
+  } catch (error) {
+    logger.error('Signature lookup error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Add a custom event, function or error signature
+ */
+const addSignature = async (req, res) => {
+  try {
+    const { type, definition, addedBy } = req.body;
+    const signature = await signatureService.addSignature({ type, definition, addedBy });
+
+    res.status(201).json({
+      success: true,
+      data: signature
+    });
+
+  } catch (error) {
+    logger.error('Signature creation error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List custom signatures
+ */
+const listSignatures = async (req, res) => {
+  try {
+    const result = await signatureService.listSignatures(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Signature listing error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Delete a custom signature
+ */
+const deleteSignature = async (req, res) => {
+  try {
+    const signature = await signatureService.deleteSignature(req.params.id);
+
+    res.json({
+      success: true,
+      data: signature
+    });
+
+  } catch (error) {
+    logger.error('Signature deletion error:', error.message);
+    handleServiceError(res, error);
+  }
+};
+
+module.exports = {
+  lookupSignature,
+  addSignature,
+  listSignatures,
+  deleteSignature
+};
@@ -0,0 +1,165 @@
+const webhookService = require('../services/webhookService');
+const logger = require('../config/logger');
+
+/**
+ * Map webhook service errors to HTTP responses
+ */
+const handleServiceError = (res, error) => {
+  if (error.message.includes('Webhook not found') || error.message.includes('Delivery not found')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('URL host') || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Subscribe a URL to dispute events. The signing secret is only returned
+ * in this response.
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, secret, events, description } = req.body;
+    const webhook = await webhookService.createWebhook({ url, secret, events, description });
+
+    res.status(201).json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    logger.error(`Webhook creation error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List webhook subscriptions
+ */
+const listWebhooks = async (req, res) => {
+  try {
+    const result = await webhookService.listWebhooks(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Webhook listing error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Get a webhook subscription
+ */
+const getWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.params.id);
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    logger.error(`Webhook lookup error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Change a webhook's URL, events, description or active flag
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const { url, events, active, description } = req.body;
+    const webhook = await webhookService.updateWebhook(req.params.id, { url, events, active, description });
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    logger.error(`Webhook update error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.deleteWebhook(req.params.id);
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    logger.error(`Webhook deletion error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * List the deliveries of a webhook with their attempts
+ */
+const listDeliveries = async (req, res) => {
+  try {
+    const result = await webhookService.listDeliveries(req.params.id, req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Webhook delivery listing error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+/**
+ * Send a delivery again and return the outcome of the first attempt
+ */
+const redeliver = async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.id, req.params.deliveryId);
+
+    res.status(201).json({
+      success: true,
+      data: delivery
+    });
+
+  } catch (error) {
+    logger.error(`Webhook redelivery error: ${error.message}`);
+    handleServiceError(res, error);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver
+};
@@ -0,0 +1,164 @@
+const apiKeyService = require('../services/apiKeyService');
+const siweService = require('../services/siweService');
+const logger = require('../config/logger');
+
+// Set API_KEYS_REQUIRED=false to let requests without a key through, e.g.
+// for local development. A key that is presented is always checked.
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED !== 'false';
+
+const readBearer = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Key from `Authorization: Bearer <key>` or the `X-API-Key` header
+ */
+const readApiKey = (req) => {
+  const bearer = readBearer(req);
+  if (apiKeyService.isApiKey(bearer)) {
+    return bearer;
+  }
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Session token from `Authorization: Bearer <token>`, so that a dApp can
+ * send its API key in `X-API-Key` alongside its user's session
+ */
+const readSessionToken = (req) => {
+  const bearer = readBearer(req);
+  return siweService.isSessionToken(bearer) ? bearer : null;
+};
+
+/**
+ * Resolve the request's API key into `req.apiKey` and its SIWE session
+ * into `req.siweSession` (null without one), once per request
+ */
+const authenticate = async (req) => {
+  if (req.apiKey !== undefined) return;
+
+  const key = readApiKey(req);
+  const token = readSessionToken(req);
+  const [apiKey, session] = await Promise.all([
+    key ? apiKeyService.authenticate(key) : null,
+    token ? siweService.getSession(token) : null
+  ]);
+
+  req.apiKey = apiKey;
+  req.siweSession = session;
+  if (key && !apiKey) {
+    throw new Error('Invalid, expired or revoked API key');
+  }
+  if (token && !session) {
+    throw new Error('Invalid or expired session, sign in again');
+  }
+};
+
+const rejectCredentials = (req, res, error) => {
+  const unavailable = error.message.includes('not available');
+  logger.warn(`Credentials rejected for ${req.method} ${req.originalUrl}: ${error.message}`);
+  res.status(unavailable ? 503 : 401).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * Require an API key carrying `scope`. With `allowSession`, a SIWE session
+ * is accepted instead, for endpoints that limit it to its own transactions.
+ * Must run before the rate limiter, which counts requests per key or
+ * signed-in address.
+ */
+const requireScope = (scope, { allowSession = false } = {}) => async (req, res, next) => {
+  try {
+    await authenticate(req);
+  } catch (error) {
+    return rejectCredentials(req, res, error);
+  }
+
+  if (req.apiKey) {
+    if (!apiKeyService.hasScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key lacks the ${scope} scope`
+      });
+    }
+    return next();
+  }
+
+  if (req.siweSession && allowSession) return next();
+  if (!API_KEYS_REQUIRED) return next();
+
+  res.status(req.siweSession ? 403 : 401).json({
+    success: false,
+    error: req.siweSession ? `An API key with the ${scope} scope is required` : 'API key required'
+  });
+};
+
+/**
+ * Disputes are filed and read by the parties to their transaction, signed
+ * in with Ethereum; the service checks the signed-in address. Admin keys
+ * act for reviewers and are not limited to one address.
+ */
+const requirePartySession = async (req, res, next) => {
+  try {
+    await authenticate(req);
+  } catch (error) {
+    return rejectCredentials(req, res, error);
+  }
+
+  if (req.siweSession) return next();
+  if (req.apiKey && apiKeyService.hasScope(req.apiKey, 'admin')) return next();
+  if (!req.apiKey && !API_KEYS_REQUIRED) return next();
+
+  res.status(401).json({
+    success: false,
+    error: 'Sign in with Ethereum as a party to the transaction'
+  });
+};
+
+/**
+ * Require a SIWE session token
+ */
+const requireSession = async (req, res, next) => {
+  try {
+    await authenticate(req);
+  } catch (error) {
+    return rejectCredentials(req, res, error);
+  }
+
+  if (req.siweSession) return next();
+
+  res.status(401).json({
+    success: false,
+    error: 'Session token required'
+  });
+};
+
+/**
+ * Address signed in with Ethereum, which limits the disputes the request
+ * can file and read to its own transactions. Admin API keys are not limited.
+ */
+const sessionAddress = (req) => {
+  if (!req.siweSession) return null;
+  if (req.apiKey && req.apiKey.scopes.includes('admin')) return null;
+  return req.siweSession.address;
+};
+
+/**
+ * Admin keys act for reviewers. Without any credentials a request only
+ * gets here when API_KEYS_REQUIRED=false, e.g. in local development.
+ */
+const isReviewer = (req) => {
+  if (req.apiKey) return req.apiKey.scopes.includes('admin');
+  return !req.siweSession;
+};
+
+module.exports = {
+  requireScope,
+  requirePartySession,
+  requireSession,
+  sessionAddress,
+  isReviewer
+};
@@ -0,0 +1,18 @@
+const { isMongoConnected } = require('../config/database');
+
+/**
+ * Respond with 503 when MongoDB is not connected, instead of letting
+ * Mongoose buffer the query until it times out
+ */
+const requireDatabase = (req, res, next) => {
+  if (isMongoConnected()) return next();
+
+  res.status(503).json({
+    success: false,
+    error: 'Storage is not available'
+  });
+};
+
+module.exports = {
+  requireDatabase
+};
@@ -1,15 +1,36 @@
 const rateLimit = require('express-rate-limit');
+const { MemoryStore } = rateLimit;
 const helmet = require('helmet');
 const cors = require('cors');
+const { body, param, query, validationResult } = require('express-validator');
+const { DISPUTE_STATUSES } = require('../config/disputeLifecycle');
+const { PROVIDER_NAMES } = require('../services/aiProviders');
+const { CHAINS, getChain } = require('../config/chains');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('../config/webhooks');
+const { API_KEY_SCOPES } = require('../config/apiKeys');
+const { EVIDENCE_TYPES, FILE_TYPES, MAX_TEXT_LENGTH, MAX_ITEMS_PER_DISPUTE } = require('../config/evidence');
 const logger = require('../config/logger');
 
 /**
- * Rate limiting middleware
+ * Rate limiting middleware. Requests with an API key are counted per key,
+ * against the key's own limit when it has one, signed-in requests per
+ * address and others per IP.
  */
 const createRateLimiter = (windowMs, max, message = 'Too many requests') => {
-  return rateLimit({
+  const defaultLimit = max || parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+  const store = new MemoryStore();
+  const clientKey = (req) => {
+    if (req.apiKey) return `key:${req.apiKey.id}`;
+    if (req.siweSession) return `address:${req.siweSession.address.toLowerCase()}`;
+    return req.ip;
+  };
+  const clientLimit = (req) => (req.apiKey && req.apiKey.rateLimit) || defaultLimit;
+
+  const limiter = rateLimit({
     windowMs: windowMs || parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
-    max: max || parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    max: clientLimit,
+    keyGenerator: clientKey,
+    store,
     message: {
       success: false,
       error: message
@@ -19,6 +40,7 @@ const createRateLimiter = (windowMs, max, message = 'Too many requests') => {
     handler: (req, res) => {
       logger.warn('Rate limit exceeded:', {
         ip: req.ip,
+        apiKey: req.apiKey ? req.apiKey.id : null,
         userAgent: req.get('User-Agent')
       });
       res.status(429).json({
@@ -27,6 +49,41 @@ const createRateLimiter = (windowMs, max, message = 'Too many requests') => {
       });
     }
   });
+
+  /**
+   * Count `hits` more requests against the client, for requests that do
+   * the work of several. Resolves whether the client is still within the limit.
+   */
+  limiter.consume = async (req, hits) => {
+    let totalHits = 0;
+    for (let i = 0; i < hits; i++) {
+      ({ totalHits } = await store.increment(clientKey(req)));
+    }
+    return totalHits <= clientLimit(req);
+  };
+  limiter.message = message;
+
+  return limiter;
+};
+
+// The process-wide API limiter, shared by every router so that a key, an
+// address or an IP has one quota across all endpoints
+const rateLimiter = createRateLimiter();
+
+/**
+ * Charge a request that covers several items to `limiter` once per item.
+ * The limiter itself has already counted the request as one.
+ */
+const chargePerItem = (limiter, countItems) => async (req, res, next) => {
+  const extraHits = countItems(req) - 1;
+  if (extraHits > 0 && !(await limiter.consume(req, extraHits))) {
+    logger.warn(`Rate limit exceeded by a batch of ${extraHits + 1} items from ${req.ip}`);
+    return res.status(429).json({
+      success: false,
+      error: limiter.message
+    });
+  }
+  next();
 };
 
 /**
@@ -50,12 +107,451 @@ const securityMiddleware = [
   }),
   cors({
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Cache-Control']
   })
 ];
 
+/**
+ * Reject the request with the first validation error, if any
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg,
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const TX_HASH_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+
+// isString first, since matches() accepts an array of matching strings
+const txHashRule = () => body('txHash')
+  .isString()
+  .withMessage('A valid transaction hash is required')
+  .bail()
+  .matches(TX_HASH_PATTERN)
+  .withMessage('A valid transaction hash is required');
+
+const contractAddressRule = () => body('contractAddress')
+  .optional({ values: 'falsy' })
+  .isString()
+  .withMessage('Invalid contract address')
+  .bail()
+  .isEthereumAddress()
+  .withMessage('Invalid contract address');
+
+const aiProviderRule = () => body('aiProvider')
+  .optional()
+  .isIn(PROVIDER_NAMES)
+  .withMessage(`aiProvider must be one of: ${PROVIDER_NAMES.join(', ')}`);
+
+const chainIdRule = (location) => location('chainId')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('chainId must be a positive integer');
+
+// Chains that can be analyzed, unlike chainIdRule which accepts any chain
+// an ABI can be registered for
+const supportedChainRule = (location = body) => location('chainId')
+  .optional()
+  .custom(value => Boolean(getChain(parseInt(value))))
+  .withMessage(`chainId must be one of: ${Object.keys(CHAINS).join(', ')}`)
+  .toInt();
+
+const traceRule = () => body('trace')
+  .optional()
+  .isBoolean()
+  .withMessage('trace must be a boolean')
+  .toBoolean();
+
+const cacheRule = () => body('cache')
+  .optional()
+  .isBoolean()
+  .withMessage('cache must be a boolean')
+  .toBoolean();
+
+// Waiting for confirmations holds the request open, so both are bounded
+const confirmationRules = () => [
+  body('confirmations')
+    .optional()
+    .isInt({ min: 1, max: 64 })
+    .withMessage('confirmations must be between 1 and 64')
+    .toInt(),
+  body('timeout')
+    .optional()
+    .isInt({ min: 1, max: 120 })
+    .withMessage('timeout must be between 1 and 120 seconds')
+    .toInt()
+];
+
+/**
+ * Analysis validation rules
+ */
+const validateAnalyze = [
+  txHashRule(),
+  contractAddressRule(),
+  body('disputeDescription').optional().isString().withMessage('disputeDescription must be a string'),
+  supportedChainRule(),
+  aiProviderRule(),
+  traceRule(),
+  cacheRule(),
+  ...confirmationRules(),
+  handleValidationErrors
+];
+
+// Transactions one batch request may analyze
+const MAX_BATCH_SIZE = parseInt(process.env.BATCH_MAX_SIZE) || 20;
+
+const validateAnalyzeBatch = [
+  body('txHashes')
+    .isArray({ min: 1, max: MAX_BATCH_SIZE })
+    .withMessage(`txHashes must be an array of 1 to ${MAX_BATCH_SIZE} transaction hashes`)
+    .bail()
+    .custom(hashes => new Set(hashes.map(hash => String(hash).toLowerCase())).size === hashes.length)
+    .withMessage('txHashes must not contain duplicates'),
+  body('txHashes.*').matches(TX_HASH_PATTERN).withMessage('Every entry of txHashes must be a valid transaction hash'),
+  body('disputeDescription').optional().isString().trim().notEmpty().withMessage('disputeDescription must be a non-empty string'),
+  supportedChainRule(),
+  aiProviderRule(),
+  traceRule(),
+  cacheRule(),
+  handleValidationErrors
+];
+
+const validateInvalidateAnalysis = [
+  param('txHash').matches(TX_HASH_PATTERN).withMessage('A valid transaction hash is required'),
+  supportedChainRule(query),
+  handleValidationErrors
+];
+
+/**
+ * Check one evidence item. Its fields depend on its type, so it is checked
+ * as a whole rather than field by field.
+ */
+const checkEvidenceItem = (item) => {
+  const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new Error('Evidence must be an object');
+  }
+  if (!EVIDENCE_TYPES.includes(item.type)) {
+    throw new Error(`Evidence type must be one of: ${EVIDENCE_TYPES.join(', ')}`);
+  }
+  if (item.description !== undefined && !isText(item.description, 500)) {
+    throw new Error('Evidence description must be at most 500 characters');
+  }
+
+  switch (item.type) {
+    case 'statement':
+    case 'message':
+      if (!isText(item.text, MAX_TEXT_LENGTH)) {
+        throw new Error(`Evidence text must be 1 to ${MAX_TEXT_LENGTH} characters`);
+      }
+      if (item.source !== undefined && !isText(item.source, 100)) {
+        throw new Error('Evidence source must be at most 100 characters');
+      }
+      break;
+    case 'transaction':
+      if (!TX_HASH_PATTERN.test(item.txHash || '')) {
+        throw new Error('Evidence txHash must be a valid transaction hash');
+      }
+      if (!/^[1-9]\d*$/.test(String(item.chainId))) {
+        throw new Error('Evidence chainId must be a positive integer');
+      }
+      break;
+    case 'file':
+      if (!isText(item.filename, 200)) {
+        throw new Error('Evidence filename must be 1 to 200 characters');
+      }
+      if (!Object.prototype.hasOwnProperty.call(FILE_TYPES, item.mimeType)) {
+        throw new Error(`Evidence mimeType must be one of: ${Object.keys(FILE_TYPES).join(', ')}`);
+      }
+      if (typeof item.content !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(item.content)) {
+        throw new Error('Evidence content must be base64-encoded');
+      }
+      break;
+  }
+  return true;
+};
+
+/**
+ * Dispute validation rules
+ */
+const validateCreateDispute = [
+  txHashRule(),
+  contractAddressRule(),
+  body('disputeDescription').trim().notEmpty().withMessage('Dispute description is required'),
+  body('evidence')
+    .optional()
+    .isArray({ max: MAX_ITEMS_PER_DISPUTE })
+    .withMessage(`evidence must be an array of at most ${MAX_ITEMS_PER_DISPUTE} items`),
+  body('evidence.*').custom(checkEvidenceItem),
+  supportedChainRule(),
+  aiProviderRule(),
+  traceRule(),
+  cacheRule(),
+  ...confirmationRules(),
+  handleValidationErrors
+];
+
+const validateDisputeId = [
+  param('id').isMongoId().withMessage('Invalid dispute id'),
+  handleValidationErrors
+];
+
+const validateAddEvidence = [
+  param('id').isMongoId().withMessage('Invalid dispute id'),
+  body().custom(checkEvidenceItem),
+  handleValidationErrors
+];
+
+const validateEvidenceId = [
+  param('id').isMongoId().withMessage('Invalid dispute id'),
+  param('evidenceId').isMongoId().withMessage('Invalid evidence id'),
+  handleValidationErrors
+];
+
+const validateListDisputes = [
+  chainIdRule(query),
+  // Repeated query parameters arrive as arrays
+  query('txHash').optional().isString().withMessage('Invalid transaction hash').bail()
+    .matches(TX_HASH_PATTERN).withMessage('Invalid transaction hash'),
+  query('contractAddress').optional().isString().withMessage('Invalid contract address').bail()
+    .isEthereumAddress().withMessage('Invalid contract address'),
+  query('status').optional().isIn(DISPUTE_STATUSES).withMessage('Invalid dispute status'),
+  query('transactionStatus').optional().isIn(['success', 'failed', 'pending', 'dropped', 'replaced']).withMessage('Invalid transaction status'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+const validateDisputeTransition = [
+  param('id').isMongoId().withMessage('Invalid dispute id'),
+  body('status').isIn(DISPUTE_STATUSES).withMessage(`status must be one of: ${DISPUTE_STATUSES.join(', ')}`),
+  body('reason').optional().isString().isLength({ max: 2000 }).withMessage('reason must be at most 2000 characters'),
+  handleValidationErrors
+];
+
+/**
+ * ABI registry validation rules
+ */
+const validateABIAddress = [
+  param('address').isEthereumAddress().withMessage('Invalid contract address'),
+  chainIdRule(query),
+  handleValidationErrors
+];
+
+const validateABIVersion = [
+  param('address').isEthereumAddress().withMessage('Invalid contract address'),
+  param('version').isInt({ min: 1 }).withMessage('version must be a positive integer'),
+  chainIdRule(query),
+  handleValidationErrors
+];
+
+const validateUploadABI = [
+  param('address').isEthereumAddress().withMessage('Invalid contract address'),
+  body('abi').exists().withMessage('abi is required'),
+  chainIdRule(body),
+  body('label').optional().isString().isLength({ max: 200 }).withMessage('label must be at most 200 characters'),
+  body('uploadedBy').optional().isString().isLength({ max: 200 }).withMessage('uploadedBy must be at most 200 characters'),
+  handleValidationErrors
+];
+
+const validateListABIs = [
+  query('address').optional().isString().withMessage('Invalid contract address').bail()
+    .isEthereumAddress().withMessage('Invalid contract address'),
+  chainIdRule(query),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+/**
+ * Signature database validation rules
+ */
+const SIGNATURE_TYPES = ['event', 'function', 'error'];
+
+const validateSignatureLookup = [
+  param('hash').matches(/^0x([a-fA-F0-9]{8}|[a-fA-F0-9]{64})$/).withMessage('hash must be a 4-byte selector or 32-byte topic hash'),
+  handleValidationErrors
+];
+
+const validateAddSignature = [
+  body('type').isIn(SIGNATURE_TYPES).withMessage(`type must be one of: ${SIGNATURE_TYPES.join(', ')}`),
+  body('definition').isString().withMessage('definition is required').bail().trim().notEmpty().withMessage('definition is required'),
+  body('addedBy').optional().isString().isLength({ max: 200 }).withMessage('addedBy must be at most 200 characters'),
+  handleValidationErrors
+];
+
+const validateListSignatures = [
+  query('type').optional().isIn(SIGNATURE_TYPES).withMessage(`type must be one of: ${SIGNATURE_TYPES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+const validateSignatureId = [
+  param('id').isMongoId().withMessage('Invalid signature id'),
+  handleValidationErrors
+];
+
+/**
+ * Webhook validation rules
+ */
+const webhookUrlRule = (optional) => {
+  const rule = body('url');
+  return (optional ? rule.optional() : rule)
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('url must be an http(s) URL');
+};
+
+const webhookEventsRule = (optional) => {
+  const rule = body('events');
+  return (optional ? rule.optional() : rule)
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty array')
+    .bail()
+    .custom(events => events.every(event => WEBHOOK_EVENTS.includes(event)))
+    .withMessage(`events must be among: ${WEBHOOK_EVENTS.join(', ')}`);
+};
+
+const validateCreateWebhook = [
+  webhookUrlRule(false),
+  webhookEventsRule(false),
+  body('secret').optional().isString().isLength({ min: 16, max: 256 }).withMessage('secret must be 16 to 256 characters'),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('description must be at most 500 characters'),
+  handleValidationErrors
+];
+
+const validateUpdateWebhook = [
+  param('id').isMongoId().withMessage('Invalid webhook id'),
+  webhookUrlRule(true),
+  webhookEventsRule(true),
+  body('active').optional().isBoolean({ strict: true }).withMessage('active must be a boolean'),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('description must be at most 500 characters'),
+  handleValidationErrors
+];
+
+const validateWebhookId = [
+  param('id').isMongoId().withMessage('Invalid webhook id'),
+  handleValidationErrors
+];
+
+const validateListWebhooks = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+const validateListDeliveries = [
+  param('id').isMongoId().withMessage('Invalid webhook id'),
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('event').optional().isIn(WEBHOOK_EVENTS).withMessage(`event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+const validateRedelivery = [
+  param('id').isMongoId().withMessage('Invalid webhook id'),
+  param('deliveryId').isMongoId().withMessage('Invalid delivery id'),
+  handleValidationErrors
+];
+
+/**
+ * API key validation rules
+ */
+const validateCreateApiKey = [
+  body('name').isString().withMessage('name is required').bail().trim().notEmpty().withMessage('name is required').isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('scopes must be a non-empty array')
+    .bail()
+    .custom(scopes => scopes.every(scope => API_KEY_SCOPES.includes(scope)))
+    .withMessage(`scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  body('rateLimit').optional({ values: 'null' }).isInt({ min: 1, max: 1000000 }).withMessage('rateLimit must be a positive integer').toInt(),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future'),
+  body('createdBy').optional().isString().isLength({ max: 200 }).withMessage('createdBy must be at most 200 characters'),
+  handleValidationErrors
+];
+
+const validateApiKeyId = [
+  param('id').isMongoId().withMessage('Invalid API key id'),
+  handleValidationErrors
+];
+
+const validateListApiKeys = [
+  query('includeRevoked').optional().isBoolean().withMessage('includeRevoked must be a boolean').toBoolean(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+/**
+ * Sign-In with Ethereum validation rules
+ */
+const validateSiweVerify = [
+  body('message').isString().withMessage('message is required').bail().isLength({ min: 1, max: 4000 }).withMessage('message must be at most 4000 characters'),
+  body('signature').matches(/^0x[a-fA-F0-9]{130}$/).withMessage('signature must be a 65-byte hex string'),
+  handleValidationErrors
+];
+
+/**
+ * Address activity validation rules
+ */
+const validateAddressActivity = [
+  param('address').isEthereumAddress().withMessage('Invalid address'),
+  supportedChainRule(query),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt(),
+  handleValidationErrors
+];
+
 module.exports = {
   createRateLimiter,
-  securityMiddleware
+  rateLimiter,
+  chargePerItem,
+  securityMiddleware,
+  handleValidationErrors,
+  validateAnalyze,
+  validateAnalyzeBatch,
+  validateInvalidateAnalysis,
+  validateCreateDispute,
+  validateDisputeId,
+  validateAddEvidence,
+  validateEvidenceId,
+  validateListDisputes,
+  validateDisputeTransition,
+  validateABIAddress,
+  validateABIVersion,
+  validateUploadABI,
+  validateListABIs,
+  validateSignatureLookup,
+  validateAddSignature,
+  validateListSignatures,
+  validateSignatureId,
+  validateAddressActivity,
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateWebhookId,
+  validateListWebhooks,
+  validateListDeliveries,
+  validateRedelivery,
+  validateCreateApiKey,
+  validateApiKeyId,
+  validateListApiKeys,
+  validateSiweVerify
 }; 
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/apiKeys');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // First characters of the key, shown to tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the key; the key itself is only returned on creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // Requests per rate limit window, replacing RATE_LIMIT_MAX_REQUESTS
+  rateLimit: {
+    type: Number,
+    default: null
+  },
+  createdBy: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
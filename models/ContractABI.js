@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const contractABISchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  abi: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  label: {
+    type: String
+  },
+  uploadedBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One document per address, chain and version; the highest version is current
+contractABISchema.index({ address: 1, chainId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ContractABI', contractABISchema);
@@ -1,40 +1,105 @@
 const mongoose = require('mongoose');
+const { DISPUTE_STATUSES } = require('../config/disputeLifecycle');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...DISPUTE_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    required: true
+  },
+  triggeredBy: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const disputeSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    default: DEFAULT_CHAIN_ID
+  },
   txHash: {
     type: String,
     required: true,
+    lowercase: true,
     index: true
   },
   contractAddress: {
     type: String,
-    required: true
+    required: true,
+    lowercase: true
   },
   toAddress: {
     type: String,
-    required: true
+    lowercase: true,
+    default: null
+  },
+  // Addresses allowed to read the dispute when signed in with Ethereum:
+  // the transaction's sender and recipient and every sender and receiver
+  // of its parsed events
+  parties: {
+    type: [{ type: String, lowercase: true }],
+    default: []
   },
   disputeDescription: {
     type: String,
     required: true
   },
+  // Structured verdict (verdict, confidence, refund, citedLogIndexes, reasoning)
   aiSolution: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  transaction: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  analysis: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   parsedLogs: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  ledger: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   contractState: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
   transactionStatus: {
     type: String,
-    enum: ['success', 'failed', 'pending'],
+    enum: ['success', 'failed', 'pending', 'dropped', 'replaced'],
     default: 'pending'
   },
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    default: 'open'
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -48,5 +113,10 @@ const disputeSchema = new mongoose.Schema({
 
 // Index for efficient queries
 disputeSchema.index({ txHash: 1, createdAt: -1 });
+disputeSchema.index({ chainId: 1, txHash: 1 });
+disputeSchema.index({ contractAddress: 1, createdAt: -1 });
+disputeSchema.index({ parties: 1, createdAt: -1 });
+disputeSchema.index({ transactionStatus: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Dispute', disputeSchema); 
\ No newline at end of file
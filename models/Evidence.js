@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { EVIDENCE_TYPES } = require('../config/evidence');
+
+const evidenceSchema = new mongoose.Schema({
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVIDENCE_TYPES,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  // Statement or message text
+  text: {
+    type: String
+  },
+  // Where a message came from, e.g. "email" or "support chat"
+  source: {
+    type: String
+  },
+  // Related transaction
+  txHash: {
+    type: String,
+    lowercase: true
+  },
+  chainId: {
+    type: Number
+  },
+  // Attached file; the content is only read when it is downloaded
+  filename: {
+    type: String
+  },
+  mimeType: {
+    type: String
+  },
+  content: {
+    type: Buffer,
+    select: false
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file content, the text, or `<chainId>:<txHash>`
+  contentHash: {
+    type: String,
+    required: true
+  },
+  // Signed-in address or API key name of the submitter
+  submittedBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// The same evidence cannot be attached twice to one dispute
+evidenceSchema.index({ dispute: 1, contentHash: 1 }, { unique: true });
+
+module.exports = mongoose.model('Evidence', evidenceSchema);
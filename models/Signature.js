@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const signatureSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['event', 'function', 'error'],
+    required: true
+  },
+  // Canonical form, e.g. Transfer(address,address,uint256)
+  signature: {
+    type: String,
+    required: true
+  },
+  // Human-readable definition including parameter names and indexed flags
+  definition: {
+    type: String,
+    required: true
+  },
+  // Topic hash for events, 4-byte selector for functions and errors
+  hash: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  addedBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+signatureSchema.index({ type: 1, definition: 1 }, { unique: true });
+
+module.exports = mongoose.model('Signature', signatureSchema);
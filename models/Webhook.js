@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Signing key for the HMAC signature. Kept in clear text since it is
+  // needed to sign every delivery, and never returned after creation.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
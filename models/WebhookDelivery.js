@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('../config/webhooks');
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: true
+  },
+  // Event envelope sent on every attempt, so retries and redeliveries
+  // carry the same event id and data
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Set when this delivery is a manual redelivery of an earlier one
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
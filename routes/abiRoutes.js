@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  uploadABI,
+  getABI,
+  getABIVersion,
+  listABIs,
+  deleteABIVersion,
+  deleteABIs
+} = require('../controllers/abiController');
+const {
+  validateABIAddress,
+  validateABIVersion,
+  validateUploadABI,
+  validateListABIs
+} = require('../middleware/validation');
+const { requireDatabase } = require('../middleware/database');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every registry endpoint needs MongoDB
+router.use('/abis', requireDatabase);
+
+// Local ABI registry endpoints. Uploaded ABIs may belong to private,
+// unverified contracts, so reads need the admin scope as well
+router.get('/abis', requireScope('admin'), validateListABIs, listABIs);
+router.post('/abis/:address', requireScope('admin'), validateUploadABI, uploadABI);
+router.get('/abis/:address', requireScope('admin'), validateABIAddress, getABI);
+router.delete('/abis/:address', requireScope('admin'), validateABIAddress, deleteABIs);
+router.get('/abis/:address/versions/:version', requireScope('admin'), validateABIVersion, getABIVersion);
+router.delete('/abis/:address/versions/:version', requireScope('admin'), validateABIVersion, deleteABIVersion);
+
+module.exports = router;
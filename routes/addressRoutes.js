@@ -0,0 +1,12 @@
+const express = require('express');
+const { getAddressActivity } = require('../controllers/addressController');
+const { rateLimiter, validateAddressActivity } = require('../middleware/validation');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Explorer calls and block scans are costly, so activity is rate limited,
+// against the same quota as the other endpoints
+router.get('/addresses/:address/activity', requireScope('analyze'), rateLimiter, validateAddressActivity, getAddressActivity);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const {
+  validateCreateApiKey,
+  validateApiKeyId,
+  validateListApiKeys
+} = require('../middleware/validation');
+const { requireDatabase } = require('../middleware/database');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// API key administration
+router.post('/api-keys', requireScope('admin'), validateCreateApiKey, requireDatabase, createApiKey);
+router.get('/api-keys', requireScope('admin'), validateListApiKeys, requireDatabase, listApiKeys);
+router.get('/api-keys/:id', requireScope('admin'), validateApiKeyId, requireDatabase, getApiKey);
+router.delete('/api-keys/:id', requireScope('admin'), validateApiKeyId, requireDatabase, revokeApiKey);
+
+module.exports = router;
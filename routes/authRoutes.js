@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  createNonce,
+  verifySignIn,
+  getSession,
+  signOut
+} = require('../controllers/authController');
+const { rateLimiter, validateSiweVerify } = require('../middleware/validation');
+const { requireSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Sign-In with Ethereum (EIP-4361)
+router.post('/auth/nonce', rateLimiter, createNonce);
+router.post('/auth/verify', rateLimiter, validateSiweVerify, verifySignIn);
+router.get('/auth/session', requireSession, getSession);
+router.delete('/auth/session', requireSession, signOut);
+
+module.exports = router;
@@ -1,17 +1,70 @@
 const express = require('express');
-const { analyzeTransaction, healthCheck } = require('../controllers/disputeController');
-const { createRateLimiter } = require('../middleware/validation');
+const {
+  analyzeTransaction,
+  analyzeBatch,
+  invalidateAnalysisCache,
+  createDispute,
+  getDispute,
+  listDisputes,
+  transitionDispute,
+  getDisputeHistory,
+  addEvidence,
+  listEvidence,
+  getEvidenceContent,
+  listAIProviders,
+  listChains,
+  healthCheck
+} = require('../controllers/disputeController');
+const {
+  rateLimiter,
+  chargePerItem,
+  validateAnalyze,
+  validateAnalyzeBatch,
+  validateInvalidateAnalysis,
+  validateCreateDispute,
+  validateDisputeId,
+  validateAddEvidence,
+  validateEvidenceId,
+  validateListDisputes,
+  validateDisputeTransition
+} = require('../middleware/validation');
+const { requireDatabase } = require('../middleware/database');
+const { requireScope, requirePartySession } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Create rate limiter instance
-const rateLimiter = createRateLimiter();
-
 // Health check endpoint
 router.get('/health', healthCheck);
 
 // Main transaction analysis endpoint
-router.post('/analyze', rateLimiter, analyzeTransaction);
+router.post('/analyze', requireScope('analyze'), rateLimiter, validateAnalyze, analyzeTransaction);
+
+// Several transactions in one request, each counted by the rate limiter
+router.post('/analyze/batch', requireScope('analyze'), rateLimiter, validateAnalyzeBatch, chargePerItem(rateLimiter, req => req.body.txHashes.length), analyzeBatch);
+
+// Drop cached analyses of a transaction
+router.delete('/analyze/:txHash/cache', requireScope('admin'), validateInvalidateAnalysis, invalidateAnalysisCache);
+
+// AI providers available for per-request selection
+router.get('/ai/providers', listAIProviders);
+
+// Chains transactions can be analyzed on
+router.get('/chains', listChains);
+
+// Stored dispute endpoints, open to the transaction's parties signed in
+// with Ethereum
+router.post('/disputes', requireScope('disputes:write', { allowSession: true }), requirePartySession, rateLimiter, validateCreateDispute, requireDatabase, createDispute);
+router.get('/disputes', requireScope('disputes:read', { allowSession: true }), requirePartySession, validateListDisputes, requireDatabase, listDisputes);
+router.get('/disputes/:id', requireScope('disputes:read', { allowSession: true }), requirePartySession, validateDisputeId, requireDatabase, getDispute);
+
+// Evidence attached by the parties
+router.post('/disputes/:id/evidence', requireScope('disputes:write', { allowSession: true }), requirePartySession, rateLimiter, validateAddEvidence, requireDatabase, addEvidence);
+router.get('/disputes/:id/evidence', requireScope('disputes:read', { allowSession: true }), requirePartySession, validateDisputeId, requireDatabase, listEvidence);
+router.get('/disputes/:id/evidence/:evidenceId/content', requireScope('disputes:read', { allowSession: true }), requirePartySession, validateEvidenceId, requireDatabase, getEvidenceContent);
+
+// Dispute lifecycle endpoints
+router.post('/disputes/:id/transitions', requireScope('disputes:write', { allowSession: true }), requirePartySession, validateDisputeTransition, requireDatabase, transitionDispute);
+router.get('/disputes/:id/history', requireScope('disputes:read', { allowSession: true }), requirePartySession, validateDisputeId, requireDatabase, getDisputeHistory);
 
 // Catch-all for undefined routes
 router.use('*', (req, res) => {
@@ -20,7 +73,45 @@ router.use('*', (req, res) => {
     error: 'Endpoint not found',
     availableEndpoints: [
       'GET /health',
-      'POST /analyze'
+      'POST /analyze',
+      'POST /analyze/batch',
+      'DELETE /analyze/:txHash/cache',
+      'GET /ai/providers',
+      'GET /chains',
+      'POST /disputes',
+      'GET /disputes',
+      'GET /disputes/:id',
+      'POST /disputes/:id/transitions',
+      'GET /disputes/:id/history',
+      'POST /disputes/:id/evidence',
+      'GET /disputes/:id/evidence',
+      'GET /disputes/:id/evidence/:evidenceId/content',
+      'GET /abis',
+      'POST /abis/:address',
+      'GET /abis/:address',
+      'DELETE /abis/:address',
+      'GET /abis/:address/versions/:version',
+      'DELETE /abis/:address/versions/:version',
+      'GET /signatures/lookup/:hash',
+      'GET /signatures',
+      'POST /signatures',
+      'DELETE /signatures/:id',
+      'GET /addresses/:address/activity',
+      'POST /webhooks',
+      'GET /webhooks',
+      'GET /webhooks/:id',
+      'PATCH /webhooks/:id',
+      'DELETE /webhooks/:id',
+      'GET /webhooks/:id/deliveries',
+      'POST /webhooks/:id/deliveries/:deliveryId/redeliver',
+      'POST /api-keys',
+      'GET /api-keys',
+      'GET /api-keys/:id',
+      'DELETE /api-keys/:id',
+      'POST /auth/nonce',
+      'POST /auth/verify',
+      'GET /auth/session',
+      'DELETE /auth/session'
     ]
   });
 });
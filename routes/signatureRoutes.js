@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  lookupSignature,
+  addSignature,
+  listSignatures,
+  deleteSignature
+} = require('../controllers/signatureController');
+const {
+  validateSignatureLookup,
+  validateAddSignature,
+  validateListSignatures,
+  validateSignatureId
+} = require('../middleware/validation');
+const { requireDatabase } = require('../middleware/database');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Lookups work offline against the bundled database
+router.get('/signatures/lookup/:hash', validateSignatureLookup, lookupSignature);
+
+// Custom signature endpoints; changes need the admin scope
+router.get('/signatures', validateListSignatures, requireDatabase, listSignatures);
+router.post('/signatures', requireScope('admin'), validateAddSignature, requireDatabase, addSignature);
+router.delete('/signatures/:id', requireScope('admin'), validateSignatureId, requireDatabase, deleteSignature);
+
+module.exports = router;
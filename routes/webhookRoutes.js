@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver
+} = require('../controllers/webhookController');
+const {
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateWebhookId,
+  validateListWebhooks,
+  validateListDeliveries,
+  validateRedelivery
+} = require('../middleware/validation');
+const { requireDatabase } = require('../middleware/database');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Webhooks are managed by administrators
+router.use('/webhooks', requireScope('admin'));
+
+// Webhook subscription endpoints
+router.post('/webhooks', validateCreateWebhook, requireDatabase, createWebhook);
+router.get('/webhooks', validateListWebhooks, requireDatabase, listWebhooks);
+router.get('/webhooks/:id', validateWebhookId, requireDatabase, getWebhook);
+router.patch('/webhooks/:id', validateUpdateWebhook, requireDatabase, updateWebhook);
+router.delete('/webhooks/:id', validateWebhookId, requireDatabase, deleteWebhook);
+
+// Delivery log and manual redelivery
+router.get('/webhooks/:id/deliveries', validateListDeliveries, requireDatabase, listDeliveries);
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', validateRedelivery, requireDatabase, redeliver);
+
+module.exports = router;
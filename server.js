@@ -3,6 +3,14 @@ const express = require('express');
 const logger = require('./config/logger');
 const { connectMongoDB, connectRedis } = require('./config/database');
 const disputeRoutes = require('./routes/disputeRoutes');
+const abiRoutes = require('./routes/abiRoutes');
+const signatureRoutes = require('./routes/signatureRoutes');
+const addressRoutes = require('./routes/addressRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const authRoutes = require('./routes/authRoutes');
+const blockchainService = require('./utils/blockchain');
+const webhookService = require('./services/webhookService');
 
 // Initialize Express app
 const app = express();
@@ -22,7 +30,13 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
+// Routes (disputeRoutes ends with the catch-all 404, so it is mounted last)
+app.use('/api/v1', abiRoutes);
+app.use('/api/v1', signatureRoutes);
+app.use('/api/v1', addressRoutes);
+app.use('/api/v1', webhookRoutes);
+app.use('/api/v1', apiKeyRoutes);
+app.use('/api/v1', authRoutes);
 app.use('/api/v1', disputeRoutes);
 
 // Global error handling middleware
@@ -72,6 +86,12 @@ async function startServer() {
       connectRedis()
     ]);
 
+    // Probe the default chain's RPC endpoints; failures are logged only
+    await blockchainService.initProvider();
+
+    // Retry failed webhook deliveries in the background
+    webhookService.start();
+
     // Start the server
     app.listen(PORT, () => {
       logger.info(`Blockchain Dispute Resolver API server started on port ${PORT}`);
@@ -0,0 +1,164 @@
+const { ethers } = require('ethers');
+const ContractABI = require('../models/ContractABI');
+const logger = require('../config/logger');
+const { isMongoConnected } = require('../config/database');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class ABIRegistryService {
+  /**
+   * Parse and check an uploaded ABI. Accepts a JSON array, a JSON string
+   * or an array of human-readable fragments.
+   */
+  normalizeABI(abi) {
+    let parsed = abi;
+    if (typeof abi === 'string') {
+      try {
+        parsed = JSON.parse(abi);
+      } catch (error) {
+        throw new Error(`Invalid ABI: ${error.message}`);
+      }
+    }
+
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new Error('Invalid ABI: expected a non-empty array');
+    }
+
+    let contractInterface;
+    try {
+      contractInterface = new ethers.Interface(parsed);
+    } catch (error) {
+      throw new Error(`Invalid ABI: ${error.message}`);
+    }
+
+    // ethers skips fragments it cannot parse instead of throwing
+    if (contractInterface.fragments.length !== parsed.length) {
+      throw new Error('Invalid ABI: some fragments could not be parsed');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Store an ABI as the next version for the address on the chain
+   */
+  async uploadABI(address, abi, { chainId = DEFAULT_CHAIN_ID, label, uploadedBy } = {}) {
+    const normalizedABI = this.normalizeABI(abi);
+    const normalizedAddress = address.toLowerCase();
+
+    // Two uploads racing for the same version hit the unique index; the
+    // loser simply takes the next number
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const latest = await this.getLatestABI(normalizedAddress, chainId);
+
+      try {
+        const entry = await ContractABI.create({
+          address: normalizedAddress,
+          chainId,
+          version: latest ? latest.version + 1 : 1,
+          abi: normalizedABI,
+          label,
+          uploadedBy
+        });
+
+        logger.info(`ABI version ${entry.version} registered for ${normalizedAddress} on chain ${chainId}`);
+        return entry;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error('ABI version conflict, please retry');
+  }
+
+  /**
+   * Get the current (highest) ABI version for an address
+   */
+  async getLatestABI(address, chainId = DEFAULT_CHAIN_ID) {
+    if (!isMongoConnected()) return null;
+
+    return ContractABI.findOne({ address: address.toLowerCase(), chainId })
+      .sort({ version: -1 });
+  }
+
+  /**
+   * Get a specific ABI version for an address
+   */
+  async getABIVersion(address, chainId, version) {
+    const entry = await ContractABI.findOne({ address: address.toLowerCase(), chainId, version });
+    if (!entry) {
+      throw new Error('ABI not found');
+    }
+    return entry;
+  }
+
+  /**
+   * List every stored version for an address, newest first, without the ABI bodies
+   */
+  async listVersions(address, chainId = DEFAULT_CHAIN_ID) {
+    return ContractABI.find({ address: address.toLowerCase(), chainId })
+      .select('-abi')
+      .sort({ version: -1 });
+  }
+
+  /**
+   * List registered ABIs with optional address/chain filters and pagination
+   */
+  async listABIs({ address, chainId, page, limit } = {}) {
+    const query = {};
+    if (address) query.address = address.toLowerCase();
+    if (chainId) query.chainId = parseInt(chainId);
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [abis, total] = await Promise.all([
+      ContractABI.find(query)
+        .select('-abi')
+        .sort({ address: 1, chainId: 1, version: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      ContractABI.countDocuments(query)
+    ]);
+
+    return {
+      abis,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Delete one ABI version
+   */
+  async deleteABIVersion(address, chainId, version) {
+    const result = await ContractABI.deleteOne({ address: address.toLowerCase(), chainId, version });
+    if (result.deletedCount === 0) {
+      throw new Error('ABI not found');
+    }
+
+    logger.info(`ABI version ${version} deleted for ${address} on chain ${chainId}`);
+    return { deleted: result.deletedCount };
+  }
+
+  /**
+   * Delete every ABI version for an address on a chain
+   */
+  async deleteABIs(address, chainId = DEFAULT_CHAIN_ID) {
+    const result = await ContractABI.deleteMany({ address: address.toLowerCase(), chainId });
+    if (result.deletedCount === 0) {
+      throw new Error('ABI not found');
+    }
+
+    logger.info(`${result.deletedCount} ABI versions deleted for ${address} on chain ${chainId}`);
+    return { deleted: result.deletedCount };
+  }
+}
+
+module.exports = new ABIRegistryService();
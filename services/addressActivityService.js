@@ -0,0 +1,194 @@
+const { ethers } = require('ethers');
+const Dispute = require('../models/Dispute');
+const blockchainService = require('../utils/blockchain');
+const abiFetcher = require('../utils/abiFetcher');
+const tokenMetadataService = require('./tokenMetadataService');
+const logger = require('../config/logger');
+const { isMongoConnected } = require('../config/database');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Blocks read per page when no explorer can list an address's history.
+// Many RPC nodes cap eth_getLogs ranges at 100 blocks.
+const SCAN_BLOCKS = parseInt(process.env.ACTIVITY_SCAN_BLOCKS) || 100;
+const SCAN_CONCURRENCY = 5;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+class AddressActivityService {
+  /**
+   * Recent transactions and ERC-20 transfers of an address, newest first,
+   * from the chain's explorers or by scanning recent blocks when none of
+   * them can list account history. Each entry tells whether a dispute was
+   * already opened for its transaction, and lists the disputes the viewer
+   * may read: all of them for reviewers, those `party` took part in for a
+   * signed-in party, none otherwise.
+   */
+  async getActivity(address, { chainId = DEFAULT_CHAIN_ID, page = 1, limit = 25, party = null, reviewer = false } = {}) {
+    // Fail on an unknown chain before asking any explorer
+    blockchainService.getProvider(chainId);
+
+    const activity = await this.fetchFromExplorers(address, { chainId, page, limit })
+      || await this.scanBlocks(address, { chainId, page });
+
+    const hashes = [...activity.transactions, ...activity.tokenTransfers].map(entry => entry.hash);
+    const disputes = await this.findDisputes(chainId, hashes, { party, reviewer });
+    const annotate = (entry) => {
+      const found = disputes ? disputes.get(entry.hash.toLowerCase()) : null;
+      return {
+        ...entry,
+        hasDispute: disputes ? Boolean(found) : null,
+        disputes: disputes ? found || [] : null
+      };
+    };
+
+    return {
+      address: ethers.getAddress(address),
+      chainId,
+      page,
+      limit,
+      ...activity,
+      transactions: activity.transactions.map(annotate),
+      tokenTransfers: activity.tokenTransfers.map(annotate),
+      disputesChecked: disputes !== null
+    };
+  }
+
+  /**
+   * Account history from the first explorer that can list it, or null
+   */
+  async fetchFromExplorers(address, { chainId, page, limit }) {
+    for (const explorer of abiFetcher.getExplorers(chainId)) {
+      const transactions = await explorer.fetchTransactions(address, { page, limit });
+      if (transactions === null) continue;
+
+      const tokenTransfers = await explorer.fetchTokenTransfers(address, { page, limit }) || [];
+      logger.info(`Activity of ${address} fetched from ${explorer.name}`);
+      return {
+        source: explorer.name,
+        transactions,
+        tokenTransfers,
+        hasMore: transactions.length === limit || tokenTransfers.length === limit
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Read a window of SCAN_BLOCKS blocks for transactions from or to the
+   * address and its ERC-20 transfer logs. Page 1 is the most recent window,
+   * each following page the window before it. Pages are windows, so every
+   * entry of the window is returned regardless of `limit`; cutting them
+   * would leave the rest unreachable.
+   */
+  async scanBlocks(address, { chainId, page }) {
+    const provider = blockchainService.getProvider(chainId);
+    const latestBlock = await provider.getBlockNumber();
+    const toBlock = latestBlock - (page - 1) * SCAN_BLOCKS;
+    const fromBlock = Math.max(toBlock - SCAN_BLOCKS + 1, 0);
+
+    if (toBlock < 0) {
+      return { source: 'block-scan', transactions: [], tokenTransfers: [], hasMore: false, blockRange: null };
+    }
+
+    const blockNumbers = Array.from({ length: toBlock - fromBlock + 1 }, (_, index) => toBlock - index);
+    const blocks = await mapWithConcurrency(blockNumbers, SCAN_CONCURRENCY, blockNumber => provider.getBlock(blockNumber, true));
+    const timestamps = new Map(blocks.filter(Boolean).map(block => [block.number, new Date(block.timestamp * 1000).toISOString()]));
+
+    const account = address.toLowerCase();
+    const transactions = [];
+    for (const block of blocks) {
+      if (!block) continue;
+      for (const tx of block.prefetchedTransactions) {
+        if (tx.from.toLowerCase() !== account && (!tx.to || tx.to.toLowerCase() !== account)) continue;
+        transactions.push({
+          hash: tx.hash,
+          blockNumber: block.number,
+          timestamp: timestamps.get(block.number),
+          from: tx.from,
+          to: tx.to,
+          value: tx.value.toString(),
+          nonce: tx.nonce,
+          // Reading every receipt would double the cost of the scan
+          status: null,
+          method: tx.data && tx.data !== '0x' ? tx.data.slice(0, 10) : null
+        });
+      }
+    }
+
+    const tokenTransfers = await this.scanTokenTransfers(address, { provider, chainId, fromBlock, toBlock, timestamps });
+
+    return {
+      source: 'block-scan',
+      transactions,
+      tokenTransfers,
+      hasMore: fromBlock > 0,
+      blockRange: { fromBlock, toBlock }
+    };
+  }
+
+  /**
+   * ERC-20 Transfer logs from or to the address in a block range. ERC-721
+   * transfers share the topic but index the token id, so they have four
+   * topics and are left out.
+   */
+  async scanTokenTransfers(address, { provider, chainId, fromBlock, toBlock, timestamps }) {
+    const topic = ethers.zeroPadValue(address, 32);
+    const [sent, received] = await Promise.all([
+      provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, topic] }),
+      provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, null, topic] })
+    ]);
+
+    const logs = [...sent, ...received]
+      .filter(log => log.topics.length === 3)
+      .sort((a, b) => (b.blockNumber - a.blockNumber) || (b.index - a.index));
+
+    const tokens = await tokenMetadataService.resolve(logs.map(log => log.address), { provider, chainId });
+
+    return logs.map(log => {
+      const token = tokens[ethers.getAddress(log.address)] || {};
+      return {
+        hash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        timestamp: timestamps.get(log.blockNumber) || null,
+        logIndex: log.index,
+        token: ethers.getAddress(log.address),
+        symbol: token.symbol || null,
+        decimals: token.decimals !== undefined ? token.decimals : null,
+        from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+        to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+        value: log.data === '0x' ? '0' : BigInt(log.data).toString()
+      };
+    });
+  }
+
+  /**
+   * Disputes the viewer may read per lowercase transaction hash, with an
+   * entry (possibly empty) for every hash that has any, or null without
+   * MongoDB
+   */
+  async findDisputes(chainId, hashes, { party = null, reviewer = false } = {}) {
+    if (!isMongoConnected()) return null;
+
+    const disputesByHash = new Map();
+    if (hashes.length === 0) return disputesByHash;
+
+    const disputes = await Dispute.find({ chainId, txHash: { $in: hashes.map(hash => hash.toLowerCase()) } })
+      .select('txHash status parties createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const viewer = party ? party.toLowerCase() : null;
+    for (const dispute of disputes) {
+      if (!disputesByHash.has(dispute.txHash)) {
+        disputesByHash.set(dispute.txHash, []);
+      }
+      if (reviewer || (viewer && (dispute.parties || []).includes(viewer))) {
+        disputesByHash.get(dispute.txHash).push({ id: dispute._id, status: dispute.status, createdAt: dispute.createdAt });
+      }
+    }
+    return disputesByHash;
+  }
+}
+
+module.exports = new AddressActivityService();
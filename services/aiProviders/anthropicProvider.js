@@ -0,0 +1,70 @@
+const axios = require('axios');
+
+/**
+ * Anthropic-style messages API
+ */
+class AnthropicProvider {
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.apiUrl = config.apiUrl || process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+    this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.model = config.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+    this.apiVersion = config.apiVersion || process.env.ANTHROPIC_API_VERSION || '2023-06-01';
+    this.timeout = config.timeout || parseInt(process.env.AI_TIMEOUT_MS) || 30000;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Send chat messages and return the reply text. The system prompt is
+   * passed separately, and JSON mode is emulated by prefilling the reply
+   * with an opening brace.
+   */
+  async complete(messages, { jsonMode = false, temperature = 0.3, maxTokens = 1000 } = {}) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const conversation = messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({ role: message.role, content: message.content }));
+
+    if (jsonMode) {
+      conversation.push({ role: 'assistant', content: '{' });
+    }
+
+    const payload = {
+      model: this.model,
+      messages: conversation,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (system) {
+      payload.system = system;
+    }
+
+    const response = await axios.post(this.apiUrl, payload, {
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.apiVersion,
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    });
+
+    const content = response.data && Array.isArray(response.data.content) ? response.data.content : null;
+    if (!content) {
+      throw new Error('Invalid response from AI service');
+    }
+
+    const text = content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return jsonMode ? `{${text}` : text;
+  }
+}
+
+module.exports = AnthropicProvider;
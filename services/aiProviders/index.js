@@ -0,0 +1,34 @@
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider
+};
+
+// Canned verdicts must never decide a real dispute, so the mock provider
+// only exists outside production
+if (['test', 'development'].includes(process.env.NODE_ENV)) {
+  PROVIDERS.mock = MockProvider;
+}
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Create a provider by name
+ */
+const createProvider = (name, config = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return new Provider(config);
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProvider
+};
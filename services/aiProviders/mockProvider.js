@@ -0,0 +1,91 @@
+/**
+ * Deterministic offline provider for CI and local development. It never
+ * touches the network and derives its answer from the prompt alone, so the
+ * same dispute always produces the same verdict.
+ */
+class MockProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.model = config.model || 'mock-deterministic';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Return a canned reply derived from the first user message
+   */
+  async complete(messages, { jsonMode = false } = {}) {
+    const firstUserMessage = messages.find(message => message.role === 'user');
+    const prompt = firstUserMessage ? firstUserMessage.content : '';
+    const verdict = this.judge(prompt);
+
+    if (jsonMode) {
+      return JSON.stringify(verdict);
+    }
+    return `Mock analysis: ${verdict.reasoning}`;
+  }
+
+  /**
+   * Derive a verdict from the transaction status and logs in the prompt
+   */
+  judge(prompt) {
+    const logIndexes = Array.from(
+      new Set(Array.from(prompt.matchAll(/^logIndex (\d+):/gm), match => parseInt(match[1])))
+    );
+    const cite = indexes => (this.isSequence(prompt) ? { citedLogs: this.collectCitedLogs(prompt) } : { citedLogIndexes: indexes });
+
+    if (/^Status: failed$/m.test(prompt)) {
+      const valueMatch = prompt.match(/^Value: (\d+)/m);
+      const value = valueMatch && valueMatch[1] !== '0' ? valueMatch[1] : null;
+      return {
+        verdict: 'REFUND',
+        confidence: 0.9,
+        refund: { amount: value, token: value ? 'native' : null },
+        ...cite([]),
+        reasoning: 'The transaction reverted, so the requested action did not take place.'
+      };
+    }
+
+    if (logIndexes.length > 0) {
+      return {
+        verdict: 'NO_REFUND',
+        confidence: 0.7,
+        refund: { amount: null, token: null },
+        ...cite(logIndexes),
+        reasoning: 'The transaction succeeded and emitted the events cited, so it executed as submitted.'
+      };
+    }
+
+    return {
+      verdict: 'NOT_POSSIBLE',
+      confidence: 0.5,
+      refund: { amount: null, token: null },
+      ...cite([]),
+      reasoning: 'The transaction succeeded without emitting any events that can be evaluated.'
+    };
+  }
+
+  isSequence(prompt) {
+    return /^--- Transaction \d+ of \d+: /m.test(prompt);
+  }
+
+  /**
+   * Every log of a sequence prompt as `{ txHash, logIndex }`, reading each
+   * transaction's section
+   */
+  collectCitedLogs(prompt) {
+    const citedLogs = [];
+    let txHash = null;
+    for (const line of prompt.split('\n')) {
+      const section = /^--- Transaction \d+ of \d+: (0x[0-9a-fA-F]+) ---$/.exec(line);
+      const log = /^logIndex (\d+):/.exec(line);
+      if (section) txHash = section[1];
+      else if (log && txHash) citedLogs.push({ txHash, logIndex: parseInt(log[1]) });
+    }
+    return citedLogs;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+/**
+ * Local Ollama-style chat server
+ */
+class OllamaProvider {
+  constructor(config = {}) {
+    this.name = 'ollama';
+    this.baseUrl = (config.baseUrl || process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = config.model || process.env.OLLAMA_MODEL || 'llama3';
+    this.timeout = config.timeout || parseInt(process.env.AI_TIMEOUT_MS) || 30000;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Send chat messages and return the reply text
+   */
+  async complete(messages, { jsonMode = false, temperature = 0.3, maxTokens = 1000 } = {}) {
+    const payload = {
+      model: this.model,
+      messages,
+      stream: false,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (jsonMode) {
+      payload.format = 'json';
+    }
+
+    const response = await axios.post(`${this.baseUrl}/api/chat`, payload, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    });
+
+    if (response.data && response.data.message) {
+      return response.data.message.content;
+    }
+    throw new Error('Invalid response from AI service');
+  }
+}
+
+module.exports = OllamaProvider;
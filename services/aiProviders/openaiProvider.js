@@ -0,0 +1,48 @@
+const axios = require('axios');
+
+/**
+ * OpenAI-compatible chat completions endpoint (OpenAI, Groq, Together, vLLM, ...)
+ */
+class OpenAIProvider {
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.apiUrl = config.apiUrl || process.env.AI_API_URL || 'https://api.groq.com/openai/v1/chat/completions';
+    this.apiKey = config.apiKey || process.env.AI_API_KEY;
+    this.model = config.model || process.env.AI_MODEL || 'llama3-70b-8192';
+    this.timeout = config.timeout || parseInt(process.env.AI_TIMEOUT_MS) || 30000;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Send chat messages and return the reply text
+   */
+  async complete(messages, { jsonMode = false, temperature = 0.3, maxTokens = 1000 } = {}) {
+    const payload = {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (jsonMode) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    const response = await axios.post(this.apiUrl, payload, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    });
+
+    if (response.data && response.data.choices && response.data.choices[0]) {
+      return response.data.choices[0].message.content;
+    }
+    throw new Error('Invalid response from AI service');
+  }
+}
+
+module.exports = OpenAIProvider;
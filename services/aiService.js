@@ -1,74 +1,334 @@
-const axios = require('axios');
 const logger = require('../config/logger');
+const { parseVerdict, VERDICT_SCHEMA_DESCRIPTION, SEQUENCE_VERDICT_SCHEMA_DESCRIPTION } = require('../utils/verdictValidator');
+const { PROVIDER_NAMES, createProvider } = require('./aiProviders');
+const assetLedger = require('../utils/assetLedger');
+const { getChain } = require('../config/chains');
+
+// Characters of each statement, message or text file quoted in a prompt
+const EVIDENCE_PROMPT_CHARS = 1000;
 
 class AIService {
   constructor() {
-    this.apiUrl = process.env.AI_API_URL || 'https://api.groq.com/openai/v1/chat/completions';
-    this.apiKey = process.env.AI_API_KEY;
+    this.defaultProvider = process.env.AI_PROVIDER || 'openai';
+    this.allowProviderOverride = process.env.AI_ALLOW_PROVIDER_OVERRIDE === 'true';
+    this.maxVerdictAttempts = parseInt(process.env.AI_MAX_VERDICT_ATTEMPTS) || 3;
+    this.providers = {};
   }
 
   /**
-   * Analyze transaction dispute and determine refund eligibility
+   * Get a provider instance by name, falling back to the environment default
    */
-  async analyzeDispute(txHash, contractAddress, disputeDescription, logs, transactionDetails) {
-    try {
-      if (!this.apiKey) {
-        throw new Error('AI API key not configured');
+  getProvider(name) {
+    let providerName = this.defaultProvider;
+    if (name && name !== this.defaultProvider) {
+      if (!this.allowProviderOverride) {
+        throw new Error('AI provider override is disabled');
       }
+      providerName = name;
+    }
 
-      const prompt = this.buildDisputePrompt(txHash, contractAddress, disputeDescription, logs, transactionDetails);
-      
-      const response = await axios.post(this.apiUrl, {
-        model: 'llama3-70b-8192',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an AI expert analyzing blockchain transaction disputes on Monad Testnet. Your job is to determine if a refund is warranted based on the transaction logs and user complaint.'
-          },
+    if (!this.providers[providerName]) {
+      this.providers[providerName] = createProvider(providerName);
+    }
+    return this.providers[providerName];
+  }
+
+  /**
+   * List available providers and whether each one is configured
+   */
+  listProviders() {
+    return PROVIDER_NAMES.map(name => {
+      const provider = createProvider(name);
+      return {
+        name,
+        model: provider.model,
+        configured: provider.isConfigured(),
+        default: name === this.defaultProvider
+      };
+    });
+  }
+
+  /**
+   * Analyze transaction dispute and return a validated, structured verdict
+   */
+  async analyzeDispute(txHash, contractAddress, disputeDescription, logs, transactionDetails, options = {}) {
+    const provider = this.getProvider(options.provider);
+    if (!provider.isConfigured()) {
+      logger.error(`AI service error: provider ${provider.name} is not configured`);
+      throw new Error('AI service temporarily unavailable');
+    }
+
+    const chain = options.chain || getChain();
+    const prompt = this.buildDisputePrompt(txHash, contractAddress, disputeDescription, logs, transactionDetails, options.ledger, chain, options.evidence);
+    return this.requestVerdict(provider, chain, prompt, { knownLogIndexes: this.collectLogIndexes(logs) });
+  }
+
+  /**
+   * Decide a dispute over a sequence of transactions (e.g. approve, swap,
+   * withdraw) with a single verdict. `items` are analyses in the order the
+   * user gave them; the verdict cites logs as `{ txHash, logIndex }` pairs,
+   * each checked against that transaction's logs.
+   */
+  async analyzeDisputeSequence(disputeDescription, items, options = {}) {
+    const provider = this.getProvider(options.provider);
+    if (!provider.isConfigured()) {
+      logger.error(`AI service error: provider ${provider.name} is not configured`);
+      throw new Error('AI service temporarily unavailable');
+    }
+
+    const chain = options.chain || getChain();
+    const prompt = this.buildSequencePrompt(disputeDescription, items, chain);
+    const knownLogs = Object.fromEntries(items.map(item => [item.txHash.toLowerCase(), this.collectLogIndexes(item.events)]));
+    return this.requestVerdict(provider, chain, prompt, { knownLogs });
+  }
+
+  /**
+   * Ask the provider for a verdict on a prompt. Invalid replies are sent
+   * back to the model with the validation errors until it produces a
+   * usable verdict or the attempts run out. `citations` holds the
+   * `knownLogIndexes` or, for a sequence, the `knownLogs` it may cite.
+   */
+  async requestVerdict(provider, chain, prompt, citations) {
+    const schema = citations.knownLogs ? SEQUENCE_VERDICT_SCHEMA_DESCRIPTION : VERDICT_SCHEMA_DESCRIPTION;
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an AI expert analyzing blockchain transaction disputes on ${chain.name}. Your job is to determine if a refund is warranted based on the transaction logs and user complaint. You always reply with a single JSON object and nothing else.`
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.maxVerdictAttempts; attempt++) {
+      const reply = await this.requestChatCompletion(provider, messages, { jsonMode: true });
+
+      try {
+        const verdict = parseVerdict(reply, citations);
+        logger.info(`AI dispute analysis completed successfully with ${provider.name} (attempt ${attempt})`);
+        return {
+          ...verdict,
+          source: { type: 'ai', provider: provider.name, model: provider.model }
+        };
+      } catch (error) {
+        lastError = error;
+        logger.warn(`AI verdict attempt ${attempt} was invalid: ${error.message}`);
+        messages.push(
+          { role: 'assistant', content: reply },
           {
             role: 'user',
-            content: prompt
+            content: `Your previous reply was not a valid verdict: ${error.message}. Reply again with only a JSON object matching this schema:\n${schema}`
           }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
-
-      if (response.data && response.data.choices && response.data.choices[0]) {
-        const aiResponse = response.data.choices[0].message.content;
-        logger.info('AI dispute analysis completed successfully');
-        return aiResponse;
-      } else {
-        throw new Error('Invalid response from AI service');
+        );
       }
+    }
+
+    logger.error(`AI service error: no valid verdict after ${this.maxVerdictAttempts} attempts: ${lastError.message}`);
+    throw new Error('AI service returned an invalid verdict');
+  }
+
+  /**
+   * Send chat messages through a provider and return the reply text
+   */
+  async requestChatCompletion(provider, messages, options = {}) {
+    try {
+      return await provider.complete(messages, options);
     } catch (error) {
-      logger.error('AI service error:', error.message);
+      logger.error(`AI service error (${provider.name}):`, error.message);
       throw new Error('AI service temporarily unavailable');
     }
   }
 
+  /**
+   * Collect every logIndex present in the parsed logs
+   */
+  collectLogIndexes(logs) {
+    if (!logs) return [];
+
+    const indexes = new Set();
+    for (const key of ['transfers', 'approvals', 'deposits', 'withdrawals', 'otherEvents']) {
+      for (const entry of logs[key] || []) {
+        if (Number.isInteger(entry.logIndex)) {
+          indexes.add(entry.logIndex);
+        }
+      }
+    }
+    return Array.from(indexes);
+  }
+
+  /**
+   * Summarize why a failed transaction reverted, for the prompt
+   */
+  describeRevert(transactionDetails) {
+    const revert = transactionDetails && transactionDetails.revert;
+    if (!revert) return '';
+
+    return `
+Transaction Failure: the transaction reverted (${revert.type}): ${revert.message}
+`;
+  }
+
+  /**
+   * Summarize the transaction fields that matter for a dispute
+   */
+  describeTransaction(transactionDetails, nativeSymbol) {
+    if (!transactionDetails) return 'Unknown';
+
+    const lines = [
+      `Status: ${transactionDetails.status}`,
+      `Block: ${transactionDetails.blockNumber !== null ? transactionDetails.blockNumber : 'not mined'}${transactionDetails.blockTime ? ` (${transactionDetails.blockTime})` : ''}`,
+      `From: ${transactionDetails.from}`,
+      `To: ${transactionDetails.to || 'contract creation'}`,
+      `Value: ${transactionDetails.value} (${assetLedger.formatAmount(transactionDetails.value, 18, nativeSymbol)})`
+    ];
+    if (transactionDetails.replacement) {
+      lines.push(`Replaced By: ${transactionDetails.replacement.hash} (${transactionDetails.replacement.kind})`);
+    }
+    if (transactionDetails.fee) {
+      lines.push(`Gas Fee: ${transactionDetails.fee} (${assetLedger.formatAmount(transactionDetails.fee, 18, nativeSymbol)})`);
+    }
+
+    const decodedInput = transactionDetails.decodedInput;
+    if (decodedInput && decodedInput.method) {
+      lines.push(`Method: ${decodedInput.signature || decodedInput.method}${decodedInput.args ? ` ${JSON.stringify(decodedInput.args)}` : ''}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Describe the net asset flow of every address, one asset per line
+   */
+  describeLedger(ledger) {
+    const accounts = ledger ? Object.entries(ledger.accounts) : [];
+    if (accounts.length === 0) return 'No assets moved';
+
+    const lines = [];
+    for (const [address, account] of accounts) {
+      lines.push(`${address}:`);
+
+      const native = account.native;
+      if (native.received !== '0' || native.sent !== '0' || native.gasPaid !== '0') {
+        lines.push(`  - ${ledger.nativeSymbol || 'native'}: net ${native.formatted.net} (received ${native.formatted.received}, sent ${native.formatted.sent}, gas ${native.formatted.gasPaid})`);
+      }
+      for (const token of account.tokens) {
+        const label = `${token.symbol || token.token}${token.tokenId !== undefined ? ` #${token.tokenId}` : ''}`;
+        lines.push(`  - ${label} (${token.standard} ${token.token}): net ${token.formatted.net} (received ${token.formatted.received}, sent ${token.formatted.sent})`);
+      }
+      for (const nft of account.nfts) {
+        const ids = list => (list.length > 0 ? list.map(id => `#${id}`).join(', ') : 'none');
+        lines.push(`  - ${nft.symbol || nft.token} (ERC721 ${nft.token}): received ${ids(nft.received)}; sent ${ids(nft.sent)}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Base-unit amount of a token event, with its formatted value when the
+   * token's metadata is known
+   */
+  describeAmount(entry) {
+    return entry.formattedValue && !entry.unlimited ? `${entry.formattedValue} (${entry.value})` : entry.value;
+  }
+
+  /**
+   * List the parsed events one per line, ordered by logIndex, so the model
+   * can cite them
+   */
+  describeEvents(logs) {
+    if (!logs) return 'None';
+
+    const entries = [];
+    const add = (entry, text) => entries.push({ logIndex: entry.logIndex, text: `logIndex ${entry.logIndex}: ${text}` });
+
+    for (const transfer of logs.transfers || []) {
+      const amount = transfer.type === 'ERC721 Transfer'
+        ? `token #${transfer.tokenId}`
+        : `${this.describeAmount(transfer)}${transfer.tokenId !== undefined ? ` of token #${transfer.tokenId}` : ''}`;
+      add(transfer, `${transfer.type} of ${amount} from ${transfer.from} to ${transfer.to} (contract ${transfer.address})`);
+    }
+    for (const approval of logs.approvals || []) {
+      if (approval.type === 'ApprovalForAll') {
+        add(approval, `ApprovalForAll: ${approval.owner} ${approval.approved ? 'approved' : 'revoked'} operator ${approval.operator} (contract ${approval.address})`);
+      } else {
+        const amount = approval.type === 'ERC721 Approval' ? `token #${approval.tokenId}` : `${this.describeAmount(approval)}${approval.unlimited ? ' (unlimited)' : ''}`;
+        add(approval, `${approval.type}: ${approval.owner} approved ${approval.spender} for ${amount} (contract ${approval.address})`);
+      }
+    }
+    for (const deposit of logs.deposits || []) {
+      add(deposit, `Deposit of ${this.describeAmount(deposit)} by ${deposit.from} (contract ${deposit.address})`);
+    }
+    for (const withdrawal of logs.withdrawals || []) {
+      add(withdrawal, `Withdrawal of ${this.describeAmount(withdrawal)} to ${withdrawal.to} (contract ${withdrawal.address})`);
+    }
+    for (const event of logs.otherEvents || []) {
+      const details = event.args ? JSON.stringify(event.args) : `topics ${JSON.stringify(event.topics)} data ${event.data}`;
+      add(event, `${event.type}${event.signature ? ` ${event.signature}` : ''} at ${event.address} ${details}`);
+    }
+
+    const lines = entries
+      .sort((a, b) => a.logIndex - b.logIndex)
+      .map(entry => entry.text);
+    for (const transfer of logs.internalTransfers || []) {
+      lines.push(`internal call (depth ${transfer.depth}): ${transfer.value} native from ${transfer.from} to ${transfer.to}`);
+    }
+    return lines.length > 0 ? lines.join('\n') : 'None';
+  }
+
+  /**
+   * List the parties' evidence one item per line. Statements, messages
+   * and text files are quoted up to EVIDENCE_PROMPT_CHARS; other files are
+   * described by name, type, size and hash.
+   */
+  describeEvidence(evidence) {
+    const quote = text => JSON.stringify(text.length > EVIDENCE_PROMPT_CHARS ? `${text.slice(0, EVIDENCE_PROMPT_CHARS)}...` : text);
+
+    return evidence.map((item, index) => {
+      const note = item.description ? ` - ${item.description}` : '';
+      const label = `${index + 1}. [${item.type}]`;
+
+      switch (item.type) {
+        case 'statement':
+          return `${label}${note}: ${quote(item.text)}`;
+        case 'message':
+          return `${label} from ${item.source || 'unknown source'}${note}: ${quote(item.text)}`;
+        case 'transaction':
+          return `${label} ${item.txHash} on chainId ${item.chainId}${note}`;
+        default: {
+          const file = `${label} ${item.filename} (${item.mimeType}, ${item.size} bytes, sha256 ${item.contentHash})${note}`;
+          const isText = item.mimeType === 'text/plain' || item.mimeType === 'application/json';
+          return isText && item.content ? `${file}: ${quote(item.content.toString('utf8'))}` : file;
+        }
+      }
+    }).join('\n');
+  }
+
   /**
    * Build prompt for dispute analysis
    */
-  buildDisputePrompt(txHash, contractAddress, disputeDescription, logs, transactionDetails) {
+  buildDisputePrompt(txHash, contractAddress, disputeDescription, logs, transactionDetails, ledger = null, chain = getChain(), evidence = []) {
+    const nativeSymbol = (ledger && ledger.nativeSymbol) || chain.nativeSymbol;
+    const evidenceSection = evidence && evidence.length > 0
+      ? `\nEvidence submitted by the parties (unverified; the on-chain data takes precedence):\n${this.describeEvidence(evidence)}\n`
+      : '';
+
     return `Analyze this blockchain transaction dispute:
 
+Chain: ${chain.name} (chainId ${chain.chainId})
 Transaction Hash: ${txHash}
 Contract Address: ${contractAddress}
 
 User Dispute: ${disputeDescription}
-
+${evidenceSection}${this.describeRevert(transactionDetails)}
 Transaction Details:
-${JSON.stringify(transactionDetails, null, 2)}
+${this.describeTransaction(transactionDetails, nativeSymbol)}
+
+Net Asset Flows (per address, amounts in token units):
+${this.describeLedger(ledger)}
 
 Contract Logs:
-${JSON.stringify(logs, null, 2)}
+${this.describeEvents(logs)}
 
 Based on the transaction logs and the user's complaint, determine:
 
@@ -77,62 +337,84 @@ Based on the transaction logs and the user's complaint, determine:
 3. The appropriate resolution:
 
    - **REFUND**: If the transaction failed or didn't complete as expected
-   - **NO REFUND**: If the transaction was successful and the user's claim is incorrect
-   - **NOT POSSIBLE**: If the transaction type doesn't support refunds or other technical reasons
+   - **NO_REFUND**: If the transaction was successful and the user's claim is incorrect
+   - **NOT_POSSIBLE**: If the transaction type doesn't support refunds or other technical reasons
 
-Provide a clear analysis explaining:
-- What the transaction did
-- Whether the user's complaint is justified
-- Your refund recommendation (REFUND/NO REFUND/NOT POSSIBLE)
-- Reasoning for your decision
+If you recommend a refund, give the amount in base units and the token it should be paid in.
+Cite the logIndex of every log entry your decision relies on.
 
-Be concise but thorough in your analysis.`;
+Reply with only a JSON object matching this schema:
+${VERDICT_SCHEMA_DESCRIPTION}`;
   }
 
   /**
-   * Send transaction data to Groq AI for analysis (legacy method)
+   * Build prompt for a dispute over several transactions
    */
-  async analyzeTransaction(txHash, contractAddress, logs, transactionDetails) {
-    try {
-      if (!this.apiKey) {
-        throw new Error('AI API key not configured');
-      }
+  buildSequencePrompt(disputeDescription, items, chain = getChain()) {
+    const sections = items.map((item, index) => {
+      const nativeSymbol = (item.ledger && item.ledger.nativeSymbol) || chain.nativeSymbol;
+      return `--- Transaction ${index + 1} of ${items.length}: ${item.txHash} ---
+Contract Address: ${item.contractAddress}
+${this.describeRevert(item.transaction)}
+Transaction Details:
+${this.describeTransaction(item.transaction, nativeSymbol)}
 
-      const prompt = this.buildPrompt(txHash, contractAddress, logs, transactionDetails);
-      
-      const response = await axios.post(this.apiUrl, {
-        model: 'llama3-70b-8192',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an AI analyzing blockchain transactions on Monad Testnet. Analyze the transaction logs and details to provide insights about what happened.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
-
-      if (response.data && response.data.choices && response.data.choices[0]) {
-        const aiResponse = response.data.choices[0].message.content;
-        logger.info('AI analysis completed successfully');
-        return aiResponse;
-      } else {
-        throw new Error('Invalid response from AI service');
-      }
-    } catch (error) {
-      logger.error('AI service error:', error.message);
+Net Asset Flows (per address, amounts in token units):
+${this.describeLedger(item.ledger)}
+
+Contract Logs:
+${this.describeEvents(item.events)}`;
+    });
+
+    return `Analyze this blockchain dispute over a sequence of ${items.length} transactions:
+
+Chain: ${chain.name} (chainId ${chain.chainId})
+
+User Dispute: ${disputeDescription}
+
+${sections.join('\n\n')}
+
+Based on the transactions taken together and the user's complaint, determine:
+
+1. What actually happened across the sequence
+2. Whether the user's complaint is valid
+3. The appropriate resolution:
+
+   - **REFUND**: If the sequence failed or didn't complete as expected
+   - **NO_REFUND**: If the sequence completed and the user's claim is incorrect
+   - **NOT_POSSIBLE**: If the transactions don't support refunds or other technical reasons
+
+If you recommend a refund, give the amount in base units and the token it should be paid in.
+Cite every log entry your decision relies on by its transaction hash and logIndex; each transaction numbers its logs from 0.
+
+Reply with only a JSON object matching this schema:
+${SEQUENCE_VERDICT_SCHEMA_DESCRIPTION}`;
+  }
+
+  /**
+   * Send transaction data to the AI provider for analysis (legacy method)
+   */
+  async analyzeTransaction(txHash, contractAddress, logs, transactionDetails, options = {}) {
+    const provider = this.getProvider(options.provider);
+    if (!provider.isConfigured()) {
+      logger.error(`AI service error: provider ${provider.name} is not configured`);
       throw new Error('AI service temporarily unavailable');
     }
+
+    const prompt = this.buildPrompt(txHash, contractAddress, logs, transactionDetails);
+    const aiResponse = await this.requestChatCompletion(provider, [
+      {
+        role: 'system',
+        content: 'You are an AI analyzing blockchain transactions on Monad Testnet. Analyze the transaction logs and details to provide insights about what happened.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ]);
+
+    logger.info('AI analysis completed successfully');
+    return aiResponse;
   }
 
   /**
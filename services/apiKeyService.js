@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const logger = require('../config/logger');
+const { isMongoConnected } = require('../config/database');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Authenticated keys are remembered this long, so a revocation takes up
+// to this long to reach other instances
+const CACHE_TTL_MS = 30000;
+
+// Unknown keys are cached too, so the cache is bounded
+const MAX_CACHED_KEYS = 1000;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60000;
+
+const KEY_PREFIX = 'dr_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  constructor() {
+    this.cache = new Map();
+
+    // Bootstrap key from the environment, used to create the first stored keys
+    this.adminKeyHash = process.env.ADMIN_API_KEY ? hashKey(process.env.ADMIN_API_KEY) : null;
+  }
+
+  /**
+   * Whether `key` grants `scope`
+   */
+  hasScope(key, scope) {
+    return key.scopes.includes('admin') || key.scopes.includes(scope);
+  }
+
+  /**
+   * Whether a presented string has the shape of an API key
+   */
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Generate and store a new key. The key is only returned here; the
+   * database keeps its hash.
+   */
+  async createKey({ name, scopes, rateLimit, expiresAt, createdBy }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      rateLimit: rateLimit || null,
+      expiresAt: expiresAt || null,
+      createdBy
+    });
+
+    logger.info(`API key ${apiKey.id} (${name}) created with scopes ${apiKey.scopes.join(', ')}`);
+    return { apiKey, key };
+  }
+
+  async getKey(id) {
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+    return apiKey;
+  }
+
+  async listKeys({ includeRevoked, page, limit } = {}) {
+    const query = includeRevoked ? {} : { revokedAt: null };
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [apiKeys, total] = await Promise.all([
+      ApiKey.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      ApiKey.countDocuments(query)
+    ]);
+
+    return {
+      apiKeys,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Revoke a key. The record is kept so its usage stays attributable.
+   */
+  async revokeKey(id) {
+    const apiKey = await ApiKey.findById(id).select('+keyHash');
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+    if (apiKey.revokedAt) {
+      throw new Error('API key already revoked');
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    this.cache.delete(apiKey.keyHash);
+
+    logger.info(`API key ${id} (${apiKey.name}) revoked`);
+    return apiKey;
+  }
+
+  /**
+   * Identity of a presented key: `{ id, name, scopes, rateLimit }`, or null
+   * when the key is unknown, revoked or expired
+   */
+  async authenticate(key) {
+    const keyHash = hashKey(key);
+
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.adminKeyHash))) {
+      return { id: 'env', name: 'ADMIN_API_KEY', scopes: ['admin'], rateLimit: null };
+    }
+
+    const cached = this.cache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+      return this.isUsable(cached.identity) ? cached.identity : null;
+    }
+
+    if (!isMongoConnected()) {
+      throw new Error('API key storage is not available');
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash });
+    const identity = apiKey && {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      rateLimit: apiKey.rateLimit,
+      expiresAt: apiKey.expiresAt,
+      revokedAt: apiKey.revokedAt
+    };
+    this.cache.delete(keyHash);
+    this.cache.set(keyHash, { identity, expiresAt: Date.now() + CACHE_TTL_MS });
+    if (this.cache.size > MAX_CACHED_KEYS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    if (!this.isUsable(identity)) return null;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+        .catch(error => logger.warn(`Failed to record use of API key ${apiKey.id}: ${error.message}`));
+    }
+    return identity;
+  }
+
+  isUsable(identity) {
+    return Boolean(identity) && !identity.revokedAt && (!identity.expiresAt || identity.expiresAt > new Date());
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,481 @@
+const Dispute = require('../models/Dispute');
+const blockchainService = require('../utils/blockchain');
+const aiService = require('./aiService');
+const ruleEngine = require('./ruleEngine');
+const webhookService = require('./webhookService');
+const evidenceService = require('./evidenceService');
+const { DECISION_STATUSES, PARTY_STATUSES, canTransition } = require('../config/disputeLifecycle');
+const logger = require('../config/logger');
+const { DEFAULT_CHAIN_ID, getChain } = require('../config/chains');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Evidence is accepted until the dispute is decided, and again on appeal
+const EVIDENCE_CLOSED_STATUSES = [...DECISION_STATUSES, 'closed'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Transactions of a batch analyzed at the same time
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+/**
+ * Lowercase addresses that took part in a transaction: its sender and
+ * recipient and every sender and receiver of its parsed events
+ */
+const partiesOf = (transaction, events) => {
+  const addresses = [
+    transaction && transaction.from,
+    transaction && transaction.to,
+    ...((events && events.senderAddresses) || []),
+    ...((events && events.receiverAddresses) || [])
+  ];
+  return [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+};
+
+/**
+ * Dispute fields sent with webhook events
+ */
+const webhookData = (dispute) => ({
+  id: dispute.id,
+  chainId: dispute.chainId,
+  txHash: dispute.txHash,
+  contractAddress: dispute.contractAddress,
+  status: dispute.status,
+  transactionStatus: dispute.transactionStatus,
+  verdict: dispute.aiSolution,
+  createdAt: dispute.createdAt,
+  resolvedAt: dispute.resolvedAt || null
+});
+
+class DisputeService {
+  /**
+   * Resolve the contract address, analyze the transaction on its chain and,
+   * when a dispute description is given, decide it with the rule engine or
+   * the AI, showing the AI any prepared `evidence`. With `party`, that
+   * address must have taken part in the transaction.
+   */
+  async analyze({ txHash, contractAddress, disputeDescription, aiProvider, trace, cache, confirmations, timeout, party, evidence, chainId = DEFAULT_CHAIN_ID }) {
+    logger.info(`Analyzing transaction: ${txHash} on chain ${chainId}${contractAddress ? ` for contract: ${contractAddress}` : ''}`);
+
+    // Without a contract address the analysis uses the transaction's `to`,
+    // also for transactions that were dropped or replaced
+    const analysis = await blockchainService.analyzeTransaction(txHash, contractAddress, { trace, cache, confirmations, timeout, chainId });
+    const resolvedContractAddress = contractAddress || analysis.transaction.to;
+
+    // Checked before the verdict, so that outsiders spend no AI quota
+    if (party && !partiesOf(analysis.transaction, analysis.events).includes(party.toLowerCase())) {
+      throw new Error('Signed-in address is not a party to the transaction');
+    }
+
+    let aiAnalysis = null;
+    if (disputeDescription) {
+      // Mechanically decidable disputes are settled by the rule engine;
+      // only inconclusive ones are sent to the AI
+      aiAnalysis = ruleEngine.evaluate({
+        transaction: analysis.transaction,
+        events: analysis.events,
+        contractState: analysis.contractState,
+        analysis: analysis.analysis,
+        ledger: analysis.ledger,
+        disputeDescription,
+        contractAddress: resolvedContractAddress
+      });
+
+      if (!aiAnalysis) {
+        aiAnalysis = await aiService.analyzeDispute(
+          txHash,
+          resolvedContractAddress,
+          disputeDescription,
+          analysis.events,
+          analysis.transaction,
+          { provider: aiProvider, ledger: analysis.ledger, chain: getChain(chainId), evidence }
+        );
+      }
+    }
+
+    return {
+      chainId,
+      txHash,
+      contractAddress: resolvedContractAddress,
+      disputeDescription: disputeDescription || null,
+      aiAnalysis,
+      transaction: analysis.transaction,
+      events: analysis.events,
+      ledger: analysis.ledger,
+      trace: analysis.trace,
+      contractState: analysis.contractState,
+      analysis: analysis.analysis,
+      meta: {
+        cache: analysis.cache,
+        wait: analysis.wait
+      }
+    };
+  }
+
+  /**
+   * Analyze several transactions on one chain. A failed item is reported
+   * with its error rather than failing the batch. With a dispute
+   * description, the successfully analyzed transactions are decided
+   * together by the AI as one sequence.
+   */
+  async analyzeBatch({ txHashes, disputeDescription, aiProvider, trace, cache, chainId = DEFAULT_CHAIN_ID }) {
+    // Reject an unknown chain or AI provider once, not once per item
+    blockchainService.getProvider(chainId);
+    if (disputeDescription) {
+      aiService.getProvider(aiProvider);
+    }
+    logger.info(`Analyzing batch of ${txHashes.length} transactions on chain ${chainId}`);
+
+    const results = await mapWithConcurrency(txHashes, BATCH_CONCURRENCY, async (txHash) => {
+      try {
+        const data = await this.analyze({ txHash, trace, cache, chainId });
+        return { txHash, success: true, data };
+      } catch (error) {
+        logger.warn(`Batch item ${txHash} failed: ${error.message}`);
+        return { txHash, success: false, error: error.message };
+      }
+    });
+
+    const analyzed = results.filter(result => result.success).map(result => result.data);
+
+    let aiAnalysis = null;
+    let aiError = null;
+    if (disputeDescription && analyzed.length > 0) {
+      try {
+        aiAnalysis = await aiService.analyzeDisputeSequence(disputeDescription, analyzed, {
+          provider: aiProvider,
+          chain: getChain(chainId)
+        });
+      } catch (error) {
+        // The per-transaction analyses are still worth returning
+        aiError = error.message;
+      }
+    }
+
+    return {
+      chainId,
+      disputeDescription: disputeDescription || null,
+      aiAnalysis,
+      aiError,
+      results,
+      summary: {
+        total: results.length,
+        succeeded: analyzed.length,
+        failed: results.length - analyzed.length
+      }
+    };
+  }
+
+  /**
+   * Drop the cached analyses of a transaction so the next request reads
+   * it from the chain again
+   */
+  async invalidateAnalysis({ txHash, chainId = DEFAULT_CHAIN_ID }) {
+    const deleted = await blockchainService.invalidateAnalysis(txHash, chainId);
+    return { txHash, chainId, deleted };
+  }
+
+  /**
+   * Analyze a transaction and store the result as a new dispute with its
+   * evidence. With `party`, only an address that took part in the
+   * transaction can file it.
+   */
+  async createDispute({ txHash, contractAddress, disputeDescription, aiProvider, trace, cache, confirmations, timeout, party, evidence = [], submittedBy, chainId = DEFAULT_CHAIN_ID }) {
+    // Rejected before any analysis runs
+    const preparedEvidence = evidenceService.prepareAll(evidence);
+
+    const result = await this.analyze({ txHash, contractAddress, disputeDescription, aiProvider, trace, cache, confirmations, timeout, party, evidence: preparedEvidence, chainId });
+
+    if (!result.contractAddress) {
+      throw new Error('Contract address could not be determined');
+    }
+
+    // The analysis has already run by the time the record exists, so the
+    // case is stored as awaiting review with its earlier steps in history
+    const openedAt = new Date();
+    const dispute = await Dispute.create({
+      chainId,
+      txHash,
+      contractAddress: result.contractAddress,
+      toAddress: result.transaction.to,
+      parties: partiesOf(result.transaction, result.events),
+      disputeDescription,
+      aiSolution: result.aiAnalysis,
+      transaction: result.transaction,
+      analysis: result.analysis,
+      parsedLogs: result.events,
+      ledger: result.ledger,
+      contractState: result.contractState,
+      transactionStatus: result.transaction.status,
+      status: 'awaiting_review',
+      statusHistory: [
+        { from: null, to: 'open', triggeredBy: 'system', at: openedAt },
+        { from: 'open', to: 'analyzing', triggeredBy: 'system', at: openedAt },
+        { from: 'analyzing', to: 'awaiting_review', triggeredBy: 'system', reason: 'Analysis completed' }
+      ]
+    });
+
+    if (preparedEvidence.length > 0) {
+      try {
+        await evidenceService.attach(dispute._id, preparedEvidence, submittedBy || party || 'api');
+      } catch (error) {
+        // The dispute was decided with this evidence, so it is not kept
+        // without it
+        await evidenceService.removeAll(dispute._id);
+        await Dispute.deleteOne({ _id: dispute._id });
+        logger.warn(`Dispute ${dispute.id} rolled back, its evidence could not be stored: ${error.message}`);
+        throw error;
+      }
+    }
+
+    logger.info(`Dispute ${dispute.id} created for transaction ${txHash}`);
+
+    // The record is created with its analysis, so both events fire at once
+    webhookService.emit('dispute.created', webhookData(dispute));
+    webhookService.emit('dispute.analyzed', webhookData(dispute));
+    return dispute;
+  }
+
+  /**
+   * Get a single dispute by id. With `party`, that address must be one of
+   * the dispute's parties.
+   */
+  async getDisputeById(id, { party } = {}) {
+    const dispute = await Dispute.findById(id);
+    if (dispute && party) {
+      this.assertParty(dispute, party);
+    }
+    return dispute;
+  }
+
+  /**
+   * Throw unless `party` took part in the dispute's transaction. Disputes
+   * stored before parties were recorded fall back to their transaction and
+   * parsed events.
+   */
+  assertParty(dispute, party) {
+    const parties = dispute.parties && dispute.parties.length > 0
+      ? dispute.parties
+      : partiesOf(dispute.transaction, dispute.parsedLogs);
+
+    if (!parties.includes(party.toLowerCase())) {
+      throw new Error('Signed-in address is not a party to this dispute');
+    }
+  }
+
+  /**
+   * Attach evidence to an open dispute and, while it awaits review, decide
+   * it again with the new evidence. Returns the stored items and the new
+   * verdict, or null when the dispute was not decided again. With `party`,
+   * that address must be
+   * one of the dispute's parties.
+   */
+  async addEvidence(id, items, { party, submittedBy } = {}) {
+    const dispute = await this.getDisputeById(id, { party });
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (EVIDENCE_CLOSED_STATUSES.includes(dispute.status)) {
+      throw new Error(`Evidence cannot be added to a ${dispute.status} dispute`);
+    }
+
+    const evidence = await evidenceService.attach(dispute._id, evidenceService.prepareAll(items), submittedBy || party || 'api');
+    const updated = await this.redecide(dispute);
+    return { evidence, verdict: updated ? updated.aiSolution : null };
+  }
+
+  /**
+   * Ask the AI for a new verdict on a dispute awaiting review, from its
+   * stored analysis and all of its evidence. Rule engine verdicts follow
+   * from the chain data alone and are kept. A failed request keeps the
+   * current verdict, since the evidence is stored either way.
+   */
+  async redecide(dispute) {
+    const source = dispute.aiSolution && dispute.aiSolution.source;
+    if (dispute.status !== 'awaiting_review' || !source || source.type !== 'ai') {
+      return null;
+    }
+
+    try {
+      const verdict = await aiService.analyzeDispute(
+        dispute.txHash,
+        dispute.contractAddress,
+        dispute.disputeDescription,
+        dispute.parsedLogs,
+        dispute.transaction,
+        { ledger: dispute.ledger, chain: getChain(dispute.chainId), evidence: await evidenceService.listForPrompt(dispute._id) }
+      );
+
+      // Only while still awaiting review, so a decision taken meanwhile
+      // is not overtaken by a verdict it never saw
+      const updated = await Dispute.findOneAndUpdate(
+        { _id: dispute._id, status: 'awaiting_review' },
+        { $set: { aiSolution: verdict } },
+        { new: true }
+      );
+      if (!updated) return null;
+
+      logger.info(`Dispute ${dispute.id} decided again with its new evidence`);
+      webhookService.emit('dispute.analyzed', webhookData(updated));
+      return updated;
+    } catch (error) {
+      logger.warn(`Dispute ${dispute.id} could not be decided again: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Evidence attached to a dispute, without file contents
+   */
+  async listEvidence(id, { party } = {}) {
+    const dispute = await this.getDisputeById(id, { party });
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    return evidenceService.list(dispute._id);
+  }
+
+  /**
+   * One evidence item of a dispute with its file content
+   */
+  async getEvidence(id, evidenceId, { party } = {}) {
+    const dispute = await this.getDisputeById(id, { party });
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    return evidenceService.getWithContent(dispute._id, evidenceId);
+  }
+
+  /**
+   * Move a dispute to a new status, enforcing the allowed transitions.
+   * `triggeredBy` is the authenticated caller. Unless `reviewer` is set,
+   * only the moves of PARTY_STATUSES are allowed, and only by `party`,
+   * which must be one of the dispute's parties.
+   */
+  async transitionDispute(id, toStatus, { triggeredBy, reason, party, reviewer = false } = {}) {
+    if (!reviewer && !PARTY_STATUSES.includes(toStatus)) {
+      throw new Error(`Only reviewers can move a dispute to ${toStatus}`);
+    }
+    if (!reviewer && !party) {
+      throw new Error('Only reviewers or a signed-in party can move a dispute');
+    }
+
+    const dispute = await this.getDisputeById(id, { party });
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    const fromStatus = dispute.status;
+    if (!canTransition(fromStatus, toStatus)) {
+      throw new Error(`Invalid status transition from ${fromStatus} to ${toStatus}`);
+    }
+
+    const now = new Date();
+    const update = {
+      $set: { status: toStatus },
+      $push: {
+        statusHistory: { from: fromStatus, to: toStatus, triggeredBy, reason, at: now }
+      }
+    };
+    if (DECISION_STATUSES.includes(toStatus)) {
+      update.$set.resolvedAt = now;
+    }
+
+    // Conditional on the status we validated against, so concurrent
+    // transitions cannot both succeed
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: id, status: fromStatus },
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new Error('Dispute status changed concurrently, please retry');
+    }
+
+    logger.info(`Dispute ${id} moved from ${fromStatus} to ${toStatus} by ${triggeredBy}`);
+
+    webhookService.emit('dispute.status_changed', {
+      ...webhookData(updated),
+      transition: { from: fromStatus, to: toStatus, triggeredBy, reason: reason || null }
+    });
+    if (DECISION_STATUSES.includes(toStatus)) {
+      webhookService.emit('dispute.resolved', webhookData(updated));
+    }
+    return updated;
+  }
+
+  /**
+   * Get the current status and status history of a dispute
+   */
+  async getDisputeHistory(id, { party } = {}) {
+    const dispute = await Dispute.findById(id).select('status statusHistory resolvedAt parties transaction.from transaction.to parsedLogs.senderAddresses parsedLogs.receiverAddresses');
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (party) {
+      this.assertParty(dispute, party);
+    }
+
+    return {
+      id: dispute.id,
+      status: dispute.status,
+      resolvedAt: dispute.resolvedAt || null,
+      history: dispute.statusHistory
+    };
+  }
+
+  /**
+   * List disputes with filtering and pagination. With `party`, only the
+   * disputes that address took part in.
+   */
+  async listDisputes({ chainId, txHash, contractAddress, status, transactionStatus, from, to, page, limit, party } = {}) {
+    const query = {};
+
+    if (party) {
+      query.parties = party.toLowerCase();
+    }
+    if (chainId) {
+      query.chainId = parseInt(chainId);
+    }
+    if (txHash) {
+      query.txHash = txHash.toLowerCase();
+    }
+    if (contractAddress) {
+      query.contractAddress = contractAddress.toLowerCase();
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (transactionStatus) {
+      query.transactionStatus = transactionStatus;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Dispute.countDocuments(query)
+    ]);
+
+    return {
+      disputes,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+module.exports = new DisputeService();
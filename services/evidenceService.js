@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const Evidence = require('../models/Evidence');
+const logger = require('../config/logger');
+const { FILE_TYPES, MAX_FILE_BYTES, MAX_TEXT_LENGTH, MAX_ITEMS_PER_DISPUTE } = require('../config/evidence');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// File types the AI prompt quotes rather than describes
+const TEXT_FILE_TYPES = Object.keys(FILE_TYPES).filter(mimeType => FILE_TYPES[mimeType] === null);
+
+const invalid = (reason) => new Error(`Invalid evidence: ${reason}`);
+
+class EvidenceService {
+  /**
+   * Check a submitted evidence item and turn it into the fields to store,
+   * with its size and content hash. Files arrive base64-encoded.
+   */
+  prepare(item) {
+    const prepared = {
+      type: item.type,
+      description: item.description || undefined
+    };
+
+    switch (item.type) {
+      case 'statement':
+      case 'message': {
+        if (!item.text || item.text.length > MAX_TEXT_LENGTH) {
+          throw invalid(`text must be 1 to ${MAX_TEXT_LENGTH} characters`);
+        }
+        prepared.text = item.text;
+        prepared.source = item.type === 'message' ? item.source || undefined : undefined;
+        prepared.size = Buffer.byteLength(item.text);
+        prepared.contentHash = sha256(item.text);
+        break;
+      }
+
+      case 'transaction': {
+        prepared.txHash = item.txHash.toLowerCase();
+        prepared.chainId = parseInt(item.chainId);
+        prepared.size = 0;
+        prepared.contentHash = sha256(`${prepared.chainId}:${prepared.txHash}`);
+        break;
+      }
+
+      case 'file': {
+        const content = Buffer.from(item.content, 'base64');
+        if (content.length === 0 || content.length > MAX_FILE_BYTES) {
+          throw invalid(`file must be 1 to ${MAX_FILE_BYTES} bytes`);
+        }
+        this.checkFileType(content, item.mimeType);
+
+        prepared.filename = item.filename;
+        prepared.mimeType = item.mimeType;
+        prepared.content = content;
+        prepared.size = content.length;
+        prepared.contentHash = sha256(content);
+        break;
+      }
+
+      default:
+        throw invalid(`unknown type ${item.type}`);
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Prepare the items of one submission, which must all differ
+   */
+  prepareAll(items) {
+    const prepared = items.map(item => this.prepare(item));
+    if (new Set(prepared.map(item => item.contentHash)).size !== prepared.length) {
+      throw invalid('the same item is submitted twice');
+    }
+    return prepared;
+  }
+
+  /**
+   * Reject content that does not match its declared type, so a file
+   * cannot be served back under a type it does not have
+   */
+  checkFileType(content, mimeType) {
+    if (!Object.prototype.hasOwnProperty.call(FILE_TYPES, mimeType)) {
+      throw invalid(`file type must be one of: ${Object.keys(FILE_TYPES).join(', ')}`);
+    }
+
+    const signatures = FILE_TYPES[mimeType];
+    if (signatures) {
+      if (!signatures.some(signature => content.subarray(0, signature.length).equals(signature))) {
+        throw invalid(`content is not ${mimeType}`);
+      }
+      if (mimeType === 'image/webp' && content.subarray(8, 12).toString() !== 'WEBP') {
+        throw invalid(`content is not ${mimeType}`);
+      }
+      return;
+    }
+
+    const text = content.toString('utf8');
+    if (!Buffer.from(text, 'utf8').equals(content)) {
+      throw invalid('text files must be UTF-8');
+    }
+    if (mimeType === 'application/json') {
+      try {
+        JSON.parse(text);
+      } catch (error) {
+        throw invalid('content is not valid JSON');
+      }
+    }
+  }
+
+  /**
+   * Attach prepared evidence to a dispute, within the per-dispute limit
+   */
+  async attach(disputeId, items, submittedBy) {
+    const existing = await Evidence.countDocuments({ dispute: disputeId });
+    if (existing + items.length > MAX_ITEMS_PER_DISPUTE) {
+      throw new Error(`Evidence limit reached: at most ${MAX_ITEMS_PER_DISPUTE} items per dispute`);
+    }
+
+    // Checked up front so that a duplicate does not leave the items before
+    // it stored; the unique index still catches concurrent submissions
+    const hashes = items.map(item => item.contentHash);
+    if (await Evidence.exists({ dispute: disputeId, contentHash: { $in: hashes } })) {
+      throw new Error('Evidence already attached to this dispute');
+    }
+
+    try {
+      const stored = await Evidence.insertMany(items.map(item => ({ ...item, dispute: disputeId, submittedBy })));
+      logger.info(`${stored.length} evidence items attached to dispute ${disputeId} by ${submittedBy}`);
+      return stored.map(evidence => this.withoutContent(evidence));
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Evidence already attached to this dispute');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Evidence of a dispute in submission order, without file contents
+   */
+  async list(disputeId) {
+    return Evidence.find({ dispute: disputeId }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Evidence of a dispute as the AI prompt shows it: in submission order,
+   * with the content of text files only, since the prompt quotes those
+   */
+  async listForPrompt(disputeId) {
+    const [evidence, textFiles] = await Promise.all([
+      this.list(disputeId),
+      Evidence.find({ dispute: disputeId, mimeType: { $in: TEXT_FILE_TYPES } }).select('+content')
+    ]);
+
+    const contents = new Map(textFiles.map(file => [file.id, file.content]));
+    return evidence.map(item => {
+      const stored = item.toObject();
+      if (contents.has(item.id)) stored.content = contents.get(item.id);
+      return stored;
+    });
+  }
+
+  /**
+   * Remove every evidence item of a dispute
+   */
+  async removeAll(disputeId) {
+    const { deletedCount } = await Evidence.deleteMany({ dispute: disputeId });
+    return deletedCount;
+  }
+
+  /**
+   * One evidence item with its file content
+   */
+  async getWithContent(disputeId, evidenceId) {
+    const evidence = await Evidence.findOne({ _id: evidenceId, dispute: disputeId }).select('+content');
+    if (!evidence) {
+      throw new Error('Evidence not found');
+    }
+    return evidence;
+  }
+
+  withoutContent(evidence) {
+    const stored = evidence.toObject();
+    delete stored.content;
+    return stored;
+  }
+}
+
+module.exports = new EvidenceService();
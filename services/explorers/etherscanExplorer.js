@@ -0,0 +1,132 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+
+/**
+ * Etherscan-compatible explorer API (Etherscan, MonadScan, Blockscout's
+ * etherscan module, ...). `chainParam` adds the chainid parameter used by
+ * Etherscan's multichain endpoint.
+ */
+class EtherscanExplorer {
+  constructor(config = {}, chainId) {
+    this.name = config.name || 'Etherscan';
+    this.baseUrl = config.baseUrl;
+    this.apiKey = config.apiKey;
+    this.chainId = config.chainParam ? chainId : null;
+    this.timeout = config.timeout || 10000;
+  }
+
+  /**
+   * Send a module/action request and return the response body
+   */
+  async request(params) {
+    const response = await axios.get(this.baseUrl, {
+      params: {
+        ...(this.chainId ? { chainid: this.chainId } : {}),
+        ...params,
+        apikey: this.apiKey
+      },
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetch a verified contract ABI
+   */
+  async fetchABI(contractAddress) {
+    try {
+      const data = await this.request({ module: 'contract', action: 'getabi', address: contractAddress });
+
+      if (data.status === '1' && data.result !== 'Contract source code not verified') {
+        logger.info(`ABI fetched from ${this.name} for ${contractAddress}`);
+        return JSON.parse(data.result);
+      }
+      return null;
+    } catch (error) {
+      logger.warn(`Failed to fetch ABI from ${this.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch logs emitted by a contract
+   */
+  async fetchLogs(contractAddress, fromBlock = 0, toBlock = 'latest') {
+    try {
+      const data = await this.request({ module: 'logs', action: 'getLogs', fromBlock, toBlock, address: contractAddress });
+
+      if (data.status === '1' && data.result) {
+        logger.info(`Logs fetched from ${this.name} for ${contractAddress}`);
+        return data.result;
+      }
+      return [];
+    } catch (error) {
+      logger.warn(`Failed to fetch logs from ${this.name}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Transactions sent or received by an address, newest first. Returns
+   * null when the explorer could not answer, [] when there are none.
+   */
+  async fetchTransactions(address, { page = 1, limit = 25 } = {}) {
+    const result = await this.fetchAccountList('txlist', address, page, limit);
+    if (!result) return null;
+
+    return result.map(tx => ({
+      hash: tx.hash,
+      blockNumber: parseInt(tx.blockNumber),
+      timestamp: new Date(parseInt(tx.timeStamp) * 1000).toISOString(),
+      from: tx.from,
+      to: tx.to || tx.contractAddress || null,
+      value: tx.value,
+      nonce: tx.nonce !== undefined ? parseInt(tx.nonce) : null,
+      status: tx.isError === '1' || tx.txreceipt_status === '0' ? 'failed' : 'success',
+      method: tx.functionName ? tx.functionName.split('(')[0] : (tx.methodId && tx.methodId !== '0x' ? tx.methodId : null)
+    }));
+  }
+
+  /**
+   * ERC-20 transfers from or to an address, newest first. Returns null when
+   * the explorer could not answer.
+   */
+  async fetchTokenTransfers(address, { page = 1, limit = 25 } = {}) {
+    const result = await this.fetchAccountList('tokentx', address, page, limit);
+    if (!result) return null;
+
+    return result.map(transfer => ({
+      hash: transfer.hash,
+      blockNumber: parseInt(transfer.blockNumber),
+      timestamp: new Date(parseInt(transfer.timeStamp) * 1000).toISOString(),
+      logIndex: transfer.logIndex !== undefined ? parseInt(transfer.logIndex) : null,
+      token: transfer.contractAddress,
+      symbol: transfer.tokenSymbol || null,
+      decimals: transfer.tokenDecimal ? parseInt(transfer.tokenDecimal) : null,
+      from: transfer.from,
+      to: transfer.to,
+      value: transfer.value
+    }));
+  }
+
+  /**
+   * One page of an account module list action. "No transactions found" is
+   * an empty page; any other failure is null.
+   */
+  async fetchAccountList(action, address, page, limit) {
+    try {
+      const data = await this.request({ module: 'account', action, address, page, offset: limit, sort: 'desc' });
+
+      if (Array.isArray(data.result) && (data.status === '1' || /^no .*found/i.test(data.message || ''))) {
+        return data.result;
+      }
+      logger.warn(`${this.name} ${action} failed for ${address}: ${data.message}${typeof data.result === 'string' ? ` (${data.result})` : ''}`);
+      return null;
+    } catch (error) {
+      logger.warn(`Failed to fetch ${action} from ${this.name}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = EtherscanExplorer;
@@ -0,0 +1,25 @@
+const EtherscanExplorer = require('./etherscanExplorer');
+const MonadExplorer = require('./monadExplorer');
+
+const EXPLORERS = {
+  etherscan: EtherscanExplorer,
+  monadexplorer: MonadExplorer
+};
+
+const EXPLORER_TYPES = Object.keys(EXPLORERS);
+
+/**
+ * Create an explorer adapter from a chain registry entry
+ */
+const createExplorer = (config, chainId) => {
+  const Explorer = EXPLORERS[config.type];
+  if (!Explorer) {
+    throw new Error(`Unknown explorer type: ${config.type}`);
+  }
+  return new Explorer(config, chainId);
+};
+
+module.exports = {
+  EXPLORER_TYPES,
+  createExplorer
+};
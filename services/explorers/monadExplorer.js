@@ -0,0 +1,57 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+
+/**
+ * MonadExplorer REST API
+ */
+class MonadExplorer {
+  constructor(config = {}) {
+    this.name = config.name || 'MonadExplorer';
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.timeout = config.timeout || 10000;
+  }
+
+  /**
+   * Fetch a verified contract ABI
+   */
+  async fetchABI(contractAddress) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/contracts/${contractAddress}/abi`, {
+        headers: {
+          'Accept': 'application/json'
+        },
+        timeout: this.timeout
+      });
+
+      if (response.data && response.data.abi) {
+        logger.info(`ABI fetched from ${this.name} for ${contractAddress}`);
+        return response.data.abi;
+      }
+      return null;
+    } catch (error) {
+      logger.warn(`Failed to fetch ABI from ${this.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Log queries are not part of this API
+   */
+  async fetchLogs() {
+    return [];
+  }
+
+  /**
+   * Account history is not part of this API either; null makes callers
+   * fall back to another source
+   */
+  async fetchTransactions() {
+    return null;
+  }
+
+  async fetchTokenTransfers() {
+    return null;
+  }
+}
+
+module.exports = MonadExplorer;
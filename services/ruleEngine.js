@@ -0,0 +1,218 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const defaultRules = require('../config/disputeRules');
+const { validateVerdict } = require('../utils/verdictValidator');
+
+const ADDRESS_PATTERN = /0x[a-fA-F0-9]{40}(?![a-fA-F0-9])/g;
+
+/**
+ * Compare two values numerically when both look like integers, so wei
+ * amounts held as strings compare correctly
+ */
+const compareNumeric = (left, right) => {
+  const isInteger = value => Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value));
+  if (!isInteger(left) || !isInteger(right)) return null;
+
+  const a = BigInt(left);
+  const b = BigInt(right);
+  return a === b ? 0 : (a > b ? 1 : -1);
+};
+
+const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+
+const OPERATORS = {
+  eq: (actual, expected) => {
+    const numeric = compareNumeric(actual, expected);
+    return numeric === null ? normalize(actual) === normalize(expected) : numeric === 0;
+  },
+  neq: (actual, expected) => !OPERATORS.eq(actual, expected),
+  gt: (actual, expected) => compareNumeric(actual, expected) === 1,
+  gte: (actual, expected) => [0, 1].includes(compareNumeric(actual, expected)),
+  lt: (actual, expected) => compareNumeric(actual, expected) === -1,
+  lte: (actual, expected) => [0, -1].includes(compareNumeric(actual, expected)),
+  in: (actual, expected) => Array.isArray(expected) && expected.some(item => OPERATORS.eq(actual, item)),
+  nin: (actual, expected) => !OPERATORS.in(actual, expected),
+  exists: actual => actual !== undefined && actual !== null,
+  empty: actual => actual == null || (Array.isArray(actual) && actual.length === 0) || actual === '',
+  notEmpty: actual => !OPERATORS.empty(actual),
+  includes: (actual, expected) => Array.isArray(actual) && actual.some(item => OPERATORS.eq(item, expected)),
+  disjoint: (actual, other) => Array.isArray(actual) && Array.isArray(other) &&
+    !actual.some(item => other.some(candidate => OPERATORS.eq(item, candidate)))
+};
+
+/**
+ * Read a dotted path such as "transaction.status" from an object
+ */
+const getPath = (object, path) => path.split('.').reduce(
+  (value, key) => (value == null ? undefined : value[key]),
+  object
+);
+
+class RuleEngine {
+  constructor() {
+    this.enabled = process.env.RULE_ENGINE_ENABLED !== 'false';
+    this.rules = this.loadRules();
+  }
+
+  /**
+   * Load rules from DISPUTE_RULES_FILE, falling back to the bundled defaults
+   */
+  loadRules() {
+    const rulesFile = process.env.DISPUTE_RULES_FILE;
+    if (!rulesFile) return defaultRules;
+
+    try {
+      const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+      if (!Array.isArray(rules)) {
+        throw new Error('rules file must contain an array');
+      }
+      logger.info(`Loaded ${rules.length} dispute rules from ${rulesFile}`);
+      return rules;
+    } catch (error) {
+      logger.error(`Failed to load dispute rules from ${rulesFile}, using defaults: ${error.message}`);
+      return defaultRules;
+    }
+  }
+
+  /**
+   * Build the context rules are evaluated against
+   */
+  buildContext({ transaction, events, contractState, analysis, ledger, disputeDescription, contractAddress }) {
+    const transfers = (events && events.transfers) || [];
+    const ownAddresses = [transaction.from, contractAddress].filter(Boolean).map(address => address.toLowerCase());
+
+    const claimAddresses = Array.from(new Set(
+      (String(disputeDescription || '').match(ADDRESS_PATTERN) || []).map(address => address.toLowerCase())
+    )).filter(address => !ownAddresses.includes(address));
+
+    // Native value forwarded by internal calls (only present when traced)
+    const internalTransfers = (events && events.internalTransfers) || [];
+
+    const recipients = new Set(
+      [...transfers, ...internalTransfers].filter(transfer => transfer.to).map(transfer => transfer.to.toLowerCase())
+    );
+    if (transaction.to && compareNumeric(transaction.value, '0') === 1) {
+      recipients.add(transaction.to.toLowerCase());
+    }
+
+    // Every address that took part in a transfer, so an address the dispute
+    // mentions for another reason (the token, a router) is not read as the
+    // intended recipient
+    const parties = new Set(recipients);
+    for (const transfer of [...transfers, ...internalTransfers]) {
+      [transfer.from, transfer.operator, transfer.address]
+        .filter(Boolean)
+        .forEach(address => parties.add(address.toLowerCase()));
+    }
+    if (transaction.to) parties.add(transaction.to.toLowerCase());
+
+    // NFT transfers carry a tokenId instead of a value and always move an asset
+    const nonZeroTransfers = transfers.filter(transfer => (
+      transfer.value === undefined ? transfer.tokenId !== undefined : compareNumeric(transfer.value, '0') === 1
+    ));
+
+    return {
+      transaction,
+      events: events || {},
+      contractState: contractState || {},
+      analysis: analysis || {},
+      ledger: ledger || { accounts: {} },
+      claim: {
+        description: disputeDescription || '',
+        addresses: claimAddresses
+      },
+      derived: {
+        recipients: Array.from(recipients),
+        parties: Array.from(parties),
+        transferCount: transfers.length,
+        nonZeroTransferCount: nonZeroTransfers.length,
+        internalTransferCount: internalTransfers.length
+      }
+    };
+  }
+
+  /**
+   * Evaluate a declarative condition against the context
+   */
+  matches(condition, context) {
+    if (condition.all) {
+      return condition.all.every(child => this.matches(child, context));
+    }
+    if (condition.any) {
+      return condition.any.some(child => this.matches(child, context));
+    }
+    if (condition.not) {
+      return !this.matches(condition.not, context);
+    }
+
+    const operator = OPERATORS[condition.op];
+    if (!operator) {
+      throw new Error(`Unknown rule operator: ${condition.op}`);
+    }
+
+    const actual = getPath(context, condition.field);
+    const expected = condition.other !== undefined ? getPath(context, condition.other) : condition.value;
+    return operator(actual, expected);
+  }
+
+  /**
+   * Replace {{path}} placeholders with context values
+   */
+  interpolate(template, context) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = getPath(context, path);
+      if (value === undefined || value === null) return 'unknown';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+  }
+
+  /**
+   * Build the verdict for a matched rule
+   */
+  buildVerdict(rule, context) {
+    const citedLogIndexes = [];
+    for (const path of rule.cite || []) {
+      for (const entry of getPath(context, path) || []) {
+        if (Number.isInteger(entry.logIndex) && !citedLogIndexes.includes(entry.logIndex)) {
+          citedLogIndexes.push(entry.logIndex);
+        }
+      }
+    }
+
+    const verdict = validateVerdict({
+      ...rule.verdict,
+      citedLogIndexes,
+      reasoning: this.interpolate(rule.verdict.reasoning, context)
+    });
+
+    return {
+      ...verdict,
+      source: { type: 'rule', ruleId: rule.id, description: rule.description }
+    };
+  }
+
+  /**
+   * Evaluate the rules in order and return the verdict of the first
+   * conclusive rule, or null when the dispute needs the AI
+   */
+  evaluate(input) {
+    if (!this.enabled) return null;
+
+    const context = this.buildContext(input);
+
+    for (const rule of this.rules) {
+      try {
+        if (this.matches(rule.when, context)) {
+          logger.info(`Dispute rule ${rule.id} matched for ${input.transaction.hash}`);
+          return this.buildVerdict(rule, context);
+        }
+      } catch (error) {
+        logger.error(`Dispute rule ${rule.id} failed: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new RuleEngine();
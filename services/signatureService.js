@@ -0,0 +1,395 @@
+const { ethers } = require('ethers');
+const Signature = require('../models/Signature');
+const bundledSignatures = require('../config/signatures');
+const logger = require('../config/logger');
+const { isMongoConnected } = require('../config/database');
+const { namedArgs } = require('../utils/abiDecoder');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Upper bound on indexed-parameter layouts tried per event candidate
+const MAX_EVENT_LAYOUTS = 64;
+
+// Seconds before custom signatures are read from MongoDB again, so
+// signatures added through other instances are picked up
+const CUSTOM_RELOAD_TTL = parseInt(process.env.SIGNATURE_RELOAD_TTL) || 300;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reference types are stored in topics as their keccak256 hash
+ */
+const isHashedInTopic = param => ['string', 'bytes', 'array', 'tuple'].includes(param.baseType);
+
+/**
+ * All ways of choosing k indexed positions out of n, earliest first
+ */
+const combinations = (n, k) => {
+  const result = [];
+  const walk = (start, chosen) => {
+    if (result.length >= MAX_EVENT_LAYOUTS) return;
+    if (chosen.length === k) {
+      result.push(chosen.slice());
+      return;
+    }
+    for (let i = start; i < n; i++) {
+      chosen.push(i);
+      walk(i + 1, chosen);
+      chosen.pop();
+    }
+  };
+  walk(0, []);
+  return result;
+};
+
+class SignatureService {
+  constructor() {
+    this.index = new Map();
+    this.customLoadedAt = 0;
+    this.loading = null;
+
+    for (const type of ['event', 'function', 'error']) {
+      for (const definition of bundledSignatures[`${type}s`]) {
+        this.addToIndex(type, definition, 'bundled');
+      }
+    }
+  }
+
+  /**
+   * Parse a definition and add it to the in-memory index
+   */
+  addToIndex(type, definition, source) {
+    const fragment = ethers.Fragment.from(definition);
+    const hash = (type === 'event' ? fragment.topicHash : fragment.selector).toLowerCase();
+    const entry = {
+      type,
+      source,
+      fragment,
+      signature: fragment.format('sighash'),
+      definition: fragment.format('full'),
+      hash
+    };
+
+    const entries = this.index.get(hash) || [];
+    if (!entries.some(existing => existing.type === type && existing.definition === entry.definition)) {
+      // Custom signatures are tried before bundled ones
+      if (source === 'custom') {
+        entries.unshift(entry);
+      } else {
+        entries.push(entry);
+      }
+    }
+    this.index.set(hash, entries);
+    return entry;
+  }
+
+  /**
+   * Load user-added signatures from MongoDB once it is available, and again
+   * every CUSTOM_RELOAD_TTL seconds
+   */
+  async ensureLoaded() {
+    if (!isMongoConnected() || Date.now() - this.customLoadedAt < CUSTOM_RELOAD_TTL * 1000) return;
+
+    // Concurrent lookups share one reload
+    if (!this.loading) {
+      this.loading = this.loadCustom().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Add the custom signatures stored in MongoDB to the index
+   */
+  async loadCustom() {
+    try {
+      const custom = await Signature.find({});
+      for (const doc of custom) {
+        try {
+          this.addToIndex(doc.type, doc.definition, 'custom');
+        } catch (error) {
+          logger.warn(`Skipping invalid stored signature ${doc.definition}: ${error.message}`);
+        }
+      }
+      this.customLoadedAt = Date.now();
+      logger.info(`Loaded ${custom.length} custom signatures`);
+    } catch (error) {
+      logger.error('Failed to load custom signatures:', error.message);
+    }
+  }
+
+  /**
+   * Candidate signatures for a topic hash or selector
+   */
+  async getCandidates(hash, type) {
+    await this.ensureLoaded();
+    const entries = this.index.get(String(hash).toLowerCase()) || [];
+    return type ? entries.filter(entry => entry.type === type) : entries;
+  }
+
+  /**
+   * Look up every known signature for a topic hash or selector
+   */
+  async lookup(hash) {
+    const candidates = await this.getCandidates(hash);
+    return candidates.map(entry => ({
+      type: entry.type,
+      signature: entry.signature,
+      definition: entry.definition,
+      source: entry.source
+    }));
+  }
+
+  /**
+   * Decode a log with one indexed-parameter layout. Returns the decoded
+   * values in parameter order, or null when the log does not fit.
+   */
+  decodeEventLayout(inputs, indexedPositions, log) {
+    try {
+      const values = new Array(inputs.length);
+
+      indexedPositions.forEach((position, topicOffset) => {
+        const param = inputs[position];
+        const topic = log.topics[topicOffset + 1];
+        if (isHashedInTopic(param)) {
+          values[position] = { hash: topic };
+          return;
+        }
+
+        const [value] = abiCoder.decode([param], topic);
+        // Reject topics that only decode loosely (e.g. dirty upper bytes)
+        if (abiCoder.encode([param], [value]).toLowerCase() !== topic.toLowerCase()) {
+          throw new Error('Topic does not round-trip');
+        }
+        values[position] = value;
+      });
+
+      const dataPositions = inputs.map((input, position) => position).filter(position => !indexedPositions.includes(position));
+      const dataParams = dataPositions.map(position => inputs[position]);
+      const decoded = abiCoder.decode(dataParams, log.data || '0x');
+      if (abiCoder.encode(dataParams, decoded).toLowerCase() !== (log.data || '0x').toLowerCase()) {
+        throw new Error('Data does not round-trip');
+      }
+      dataPositions.forEach((position, offset) => {
+        values[position] = decoded[offset];
+      });
+
+      return values;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve an unknown log to its most likely event signature and decode it.
+   * Confidence is "high" when a single signature decodes with its declared
+   * indexed layout, "medium" when several fit or the layout had to be
+   * inferred, and "low" when the signature is known but nothing decodes.
+   */
+  async decodeEvent(log) {
+    if (!log.topics || log.topics.length === 0) return null;
+
+    const candidates = await this.getCandidates(log.topics[0], 'event');
+    if (candidates.length === 0) return null;
+
+    const indexedCount = log.topics.length - 1;
+    const matches = [];
+
+    for (const candidate of candidates) {
+      const inputs = candidate.fragment.inputs;
+      if (indexedCount > inputs.length) continue;
+
+      const declared = inputs.map((input, position) => (input.indexed ? position : null)).filter(position => position !== null);
+      let values = declared.length === indexedCount ? this.decodeEventLayout(inputs, declared, log) : null;
+      let declaredLayout = Boolean(values);
+
+      if (!values) {
+        for (const layout of combinations(inputs.length, indexedCount)) {
+          values = this.decodeEventLayout(inputs, layout, log);
+          if (values) break;
+        }
+      }
+
+      if (values) {
+        matches.push({ candidate, values, declaredLayout });
+      }
+    }
+
+    const candidateSignatures = Array.from(new Set(candidates.map(candidate => candidate.signature)));
+
+    if (matches.length === 0) {
+      return {
+        name: candidates[0].fragment.name,
+        signature: candidates[0].signature,
+        args: null,
+        confidence: 'low',
+        candidates: candidateSignatures
+      };
+    }
+
+    const best = matches.find(match => match.declaredLayout) || matches[0];
+    const matchedSignatures = new Set(matches.map(match => match.candidate.signature));
+
+    return {
+      name: best.candidate.fragment.name,
+      signature: best.candidate.signature,
+      args: namedArgs(best.candidate.fragment.inputs, best.values),
+      confidence: matchedSignatures.size === 1 && best.declaredLayout ? 'high' : 'medium',
+      candidates: candidateSignatures
+    };
+  }
+
+  /**
+   * Resolve selector-prefixed data (calldata or revert data) to a function
+   * or error signature and decode its arguments
+   */
+  async decodeSelectorData(type, data) {
+    if (typeof data !== 'string' || data.length < 10) return null;
+
+    const candidates = await this.getCandidates(data.slice(0, 10), type);
+    if (candidates.length === 0) return null;
+
+    const payload = '0x' + data.slice(10);
+    const matches = [];
+    for (const candidate of candidates) {
+      try {
+        const decoded = abiCoder.decode(candidate.fragment.inputs, payload);
+        if (abiCoder.encode(candidate.fragment.inputs, decoded).toLowerCase() === payload.toLowerCase()) {
+          matches.push({ candidate, decoded });
+        }
+      } catch (error) {
+        // Not this candidate
+      }
+    }
+
+    const candidateSignatures = Array.from(new Set(candidates.map(candidate => candidate.signature)));
+
+    if (matches.length === 0) {
+      return {
+        name: candidates[0].fragment.name,
+        signature: candidates[0].signature,
+        args: null,
+        confidence: 'low',
+        candidates: candidateSignatures
+      };
+    }
+
+    const best = matches[0];
+    return {
+      name: best.candidate.fragment.name,
+      signature: best.candidate.signature,
+      args: namedArgs(best.candidate.fragment.inputs, best.decoded),
+      confidence: new Set(matches.map(match => match.candidate.signature)).size === 1 ? 'high' : 'medium',
+      candidates: candidateSignatures
+    };
+  }
+
+  /**
+   * Resolve and decode transaction calldata
+   */
+  async decodeCall(data) {
+    return this.decodeSelectorData('function', data);
+  }
+
+  /**
+   * Resolve and decode custom error revert data
+   */
+  async decodeError(data) {
+    return this.decodeSelectorData('error', data);
+  }
+
+  /**
+   * Store a user-provided signature and add it to the index
+   */
+  async addSignature({ type, definition, addedBy }) {
+    let fragment;
+    try {
+      const text = definition.trim();
+      fragment = ethers.Fragment.from(text.startsWith(`${type} `) ? text : `${type} ${text}`);
+    } catch (error) {
+      throw new Error(`Invalid signature: ${error.message}`);
+    }
+    if (fragment.type !== type) {
+      throw new Error(`Invalid signature: expected a ${type} definition`);
+    }
+
+    const entry = this.addToIndex(type, fragment.format('full'), 'custom');
+
+    try {
+      const doc = await Signature.create({
+        type,
+        signature: entry.signature,
+        definition: entry.definition,
+        hash: entry.hash,
+        addedBy
+      });
+      logger.info(`Custom ${type} signature added: ${entry.signature}`);
+      return doc;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Signature already exists');
+      }
+      this.removeFromIndex(type, entry.definition);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a custom signature from the index
+   */
+  removeFromIndex(type, definition) {
+    for (const [hash, entries] of this.index) {
+      const remaining = entries.filter(entry => !(entry.source === 'custom' && entry.type === type && entry.definition === definition));
+      if (remaining.length === 0) {
+        this.index.delete(hash);
+      } else {
+        this.index.set(hash, remaining);
+      }
+    }
+  }
+
+  /**
+   * Delete a custom signature
+   */
+  async deleteSignature(id) {
+    const doc = await Signature.findByIdAndDelete(id);
+    if (!doc) {
+      throw new Error('Signature not found');
+    }
+
+    this.removeFromIndex(doc.type, doc.definition);
+    logger.info(`Custom ${doc.type} signature deleted: ${doc.signature}`);
+    return doc;
+  }
+
+  /**
+   * List user-added signatures
+   */
+  async listSignatures({ type, page, limit } = {}) {
+    const query = type ? { type } : {};
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [signatures, total] = await Promise.all([
+      Signature.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Signature.countDocuments(query)
+    ]);
+
+    return {
+      signatures,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+module.exports = new SignatureService();
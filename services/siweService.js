@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/database');
+const { parseSiweMessage } = require('../utils/siweMessage');
+
+// How long an issued nonce can be signed
+const NONCE_TTL = parseInt(process.env.SIWE_NONCE_TTL) || 600;
+
+// Session lifetime, shortened to the message's expiration time if earlier
+const SESSION_TTL = parseInt(process.env.SIWE_SESSION_TTL) || 24 * 3600;
+
+// Allowed drift between our clock and the signer's
+const CLOCK_SKEW_MS = 60000;
+
+// Nonces and sessions kept in memory when Redis is not connected
+const MAX_MEMORY_ENTRIES = 10000;
+
+const SESSION_PREFIX = 'drs_';
+
+// Domain SIWE messages must be issued for. Never taken from the request,
+// whose Host header is whatever the client sends.
+const DOMAIN = process.env.SIWE_DOMAIN || null;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SiweService {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Redis client, resolved on use since the connection is opened after
+   * this module is loaded
+   */
+  get redisClient() {
+    return getRedisClient();
+  }
+
+  /**
+   * Whether a presented string has the shape of a session token
+   */
+  isSessionToken(value) {
+    return typeof value === 'string' && value.startsWith(SESSION_PREFIX);
+  }
+
+  /**
+   * Configured SIWE domain; sign-in is unavailable without one
+   */
+  get domain() {
+    if (!DOMAIN) {
+      throw new Error('Sign-In with Ethereum is not available: SIWE_DOMAIN is not configured');
+    }
+    return DOMAIN;
+  }
+
+  /**
+   * Issue a single-use nonce for a SIWE message, with the domain the
+   * message must be issued for
+   */
+  async createNonce() {
+    const domain = this.domain;
+    const nonce = crypto.randomBytes(16).toString('hex');
+    await this.store(`nonce:${nonce}`, { issuedAt: new Date().toISOString() }, NONCE_TTL);
+    return {
+      nonce,
+      domain,
+      expiresAt: new Date(Date.now() + NONCE_TTL * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check a signed SIWE message and open a session for its address. The
+   * message must be for SIWE_DOMAIN, carry a nonce issued here and not yet
+   * used, be within its validity window and be signed by its address.
+   */
+  async verify(message, signature) {
+    const domain = this.domain;
+    const fields = parseSiweMessage(message);
+
+    if (fields.domain !== domain) {
+      throw new Error(`SIWE message is for ${fields.domain}, expected ${domain}`);
+    }
+
+    const now = Date.now();
+    if (fields.expirationTime && fields.expirationTime.getTime() <= now) {
+      throw new Error('SIWE message has expired');
+    }
+    if (fields.notBefore && fields.notBefore.getTime() > now + CLOCK_SKEW_MS) {
+      throw new Error('SIWE message is not valid yet');
+    }
+    if (fields.issuedAt.getTime() > now + CLOCK_SKEW_MS) {
+      throw new Error('SIWE message is issued in the future');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new Error(`Invalid SIWE signature: ${error.shortMessage || error.message}`);
+    }
+    if (signer !== fields.address) {
+      throw new Error('Invalid SIWE signature: not signed by the message address');
+    }
+
+    // Consumed only once everything else checks out, but before the session
+    // is opened, so a replayed message cannot open a second one
+    if (!(await this.take(`nonce:${fields.nonce}`))) {
+      throw new Error('SIWE nonce is unknown, expired or already used');
+    }
+
+    const expiresAt = Math.min(
+      now + SESSION_TTL * 1000,
+      fields.expirationTime ? fields.expirationTime.getTime() : Infinity
+    );
+    const session = {
+      address: fields.address,
+      chainId: fields.chainId,
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+
+    const token = `${SESSION_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    await this.store(`session:${hashToken(token)}`, session, Math.ceil((expiresAt - now) / 1000));
+
+    logger.info(`SIWE session opened for ${fields.address}`);
+    return { token, session };
+  }
+
+  /**
+   * Session of a token, or null when it is unknown or expired
+   */
+  async getSession(token) {
+    const session = await this.load(`session:${hashToken(token)}`);
+    if (!session || new Date(session.expiresAt) <= new Date()) return null;
+    return session;
+  }
+
+  async revokeSession(token) {
+    return this.take(`session:${hashToken(token)}`);
+  }
+
+  async store(key, value, ttl) {
+    if (this.redisClient) {
+      await this.redisClient.setEx(`siwe:${key}`, ttl, JSON.stringify(value));
+      return;
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    if (this.entries.size > MAX_MEMORY_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async load(key) {
+    if (this.redisClient) {
+      const stored = await this.redisClient.get(`siwe:${key}`);
+      return stored ? JSON.parse(stored) : null;
+    }
+
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  /**
+   * Delete an entry, resolving whether it existed. Deletion is atomic in
+   * Redis, so only one of two concurrent takes succeeds.
+   */
+  async take(key) {
+    if (this.redisClient) {
+      return (await this.redisClient.del(`siwe:${key}`)) > 0;
+    }
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    return Boolean(entry) && entry.expiresAt > Date.now();
+  }
+}
+
+module.exports = new SiweService();
@@ -0,0 +1,185 @@
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/database');
+const { DEFAULT_CHAIN_ID } = require('../config/chains');
+
+// Token metadata practically never changes, so it is cached for a week
+const METADATA_TTL = 7 * 24 * 3600;
+
+// Tokens kept in memory; Redis holds the rest
+const MAX_MEMORY_TOKENS = 5000;
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Return types are left out: symbol() and name() are read raw so that
+// both string and bytes32 (e.g. MKR, SAI) implementations decode
+const METADATA_INTERFACE = new ethers.Interface([
+  'function name()',
+  'function symbol()',
+  'function decimals()'
+]);
+
+/**
+ * Decode a name() or symbol() return value encoded either as a string or
+ * as a null-padded bytes32
+ */
+const decodeText = (data) => {
+  if (!data || data === '0x') return null;
+
+  let text;
+  if (ethers.dataLength(data) === 32) {
+    const bytes = ethers.getBytes(data);
+    const end = bytes.indexOf(0);
+    text = ethers.toUtf8String(end === -1 ? bytes : bytes.slice(0, end), ethers.Utf8ErrorFuncs.replace);
+  } else {
+    [text] = abiCoder.decode(['string'], data);
+  }
+
+  // Strip control characters some tokens pad their names with
+  text = text.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return text || null;
+};
+
+class TokenMetadataService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Redis client, resolved on use since the connection is opened after
+   * this module is loaded
+   */
+  get redisClient() {
+    return getRedisClient();
+  }
+
+  /**
+   * Resolve name, symbol and decimals of each token address on a chain.
+   * Results are keyed by checksummed address; methods a token does not
+   * implement are null.
+   */
+  async resolve(addresses, { provider, chainId = DEFAULT_CHAIN_ID }) {
+    const unique = Array.from(new Set(addresses.filter(Boolean).map(address => ethers.getAddress(address))));
+    const entries = await Promise.all(unique.map(async address => [address, await this.getMetadata(address, { provider, chainId })]));
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Metadata for one token, from the memory cache, Redis or the chain
+   */
+  async getMetadata(address, { provider, chainId = DEFAULT_CHAIN_ID }) {
+    const checksummed = ethers.getAddress(address);
+    const key = `${chainId}:${checksummed.toLowerCase()}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const cached = await this.getCached(key);
+    if (cached) {
+      this.remember(key, cached);
+      return cached;
+    }
+
+    const { metadata, complete } = await this.readMetadata(checksummed, provider);
+    // Results of failed RPC calls are not remembered, only missing methods
+    if (complete) {
+      this.remember(key, metadata);
+      await this.setCached(key, metadata);
+    }
+    return metadata;
+  }
+
+  /**
+   * Keep metadata in memory, evicting the oldest token beyond
+   * MAX_MEMORY_TOKENS
+   */
+  remember(key, metadata) {
+    this.cache.set(key, metadata);
+    if (this.cache.size > MAX_MEMORY_TOKENS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Read metadata from the token contract. `complete` is false when a call
+   * failed for a reason other than the method being absent.
+   */
+  async readMetadata(address, provider) {
+    let complete = true;
+    const call = async (method) => {
+      try {
+        return await provider.call({ to: address, data: METADATA_INTERFACE.encodeFunctionData(method) });
+      } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+          complete = false;
+          logger.warn(`Failed to read ${method}() of token ${address}: ${error.message}`);
+        }
+        return null;
+      }
+    };
+
+    const [nameData, symbolData, decimalsData] = await Promise.all([call('name'), call('symbol'), call('decimals')]);
+
+    const metadata = {
+      name: null,
+      symbol: null,
+      decimals: null
+    };
+
+    try {
+      metadata.name = decodeText(nameData);
+    } catch (error) {
+      logger.warn(`Undecodable name() for token ${address}`);
+    }
+
+    try {
+      metadata.symbol = decodeText(symbolData);
+    } catch (error) {
+      logger.warn(`Undecodable symbol() for token ${address}`);
+    }
+
+    try {
+      if (decimalsData && decimalsData !== '0x') {
+        const [decimals] = abiCoder.decode(['uint256'], decimalsData);
+        // Anything outside uint8 is not a real decimals value
+        if (decimals <= 255n) {
+          metadata.decimals = Number(decimals);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Undecodable decimals() for token ${address}`);
+    }
+
+    return { metadata, complete };
+  }
+
+  /**
+   * Get metadata cached in Redis under `<chainId>:<address>`
+   */
+  async getCached(key) {
+    if (!this.redisClient) return null;
+
+    try {
+      const cached = await this.redisClient.get(`token:${key}`);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.warn(`Failed to read cached metadata for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Cache metadata in Redis
+   */
+  async setCached(key, metadata) {
+    if (!this.redisClient) return;
+
+    try {
+      await this.redisClient.setEx(`token:${key}`, METADATA_TTL, JSON.stringify(metadata));
+    } catch (error) {
+      logger.warn(`Failed to cache metadata for ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TokenMetadataService();
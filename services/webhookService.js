@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../config/logger');
+const { isMongoConnected } = require('../config/database');
+const { assertPublicUrl, publicLookup } = require('../utils/publicAddress');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// A failed delivery is retried after RETRY_BASE_MS, then twice as long
+// after every further failure, until MAX_ATTEMPTS attempts were made
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.WEBHOOK_SWEEP_MS) || 15000;
+
+// Deliveries retried per sweep
+const SWEEP_BATCH = 20;
+
+// Response text kept in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+// Set WEBHOOK_ALLOW_PRIVATE_URLS=true to deliver to loopback and private
+// addresses, e.g. a receiver on the same machine in development
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Deliveries connect only to the public addresses a host resolves to
+const agents = ALLOW_PRIVATE_URLS ? {} : {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+class WebhookService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Subscribe a URL to dispute events. Without a secret one is generated;
+   * the returned document is the only place it is shown.
+   */
+  async createWebhook({ url, secret, events, description }) {
+    await this.assertDeliverable(url);
+    const webhook = await Webhook.create({
+      url,
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      events: [...new Set(events)],
+      description
+    });
+
+    logger.info(`Webhook ${webhook.id} created for ${webhook.events.join(', ')}`);
+    return webhook;
+  }
+
+  async getWebhook(id) {
+    const webhook = await Webhook.findById(id);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+    return webhook;
+  }
+
+  /**
+   * Change the URL, events, description or active flag of a webhook
+   */
+  async updateWebhook(id, { url, events, active, description }) {
+    const update = {};
+    if (url !== undefined) {
+      await this.assertDeliverable(url);
+      update.url = url;
+    }
+    if (events !== undefined) update.events = [...new Set(events)];
+    if (active !== undefined) update.active = active;
+    if (description !== undefined) update.description = description;
+
+    const webhook = await Webhook.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true });
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+    return webhook;
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   */
+  async deleteWebhook(id) {
+    const webhook = await Webhook.findByIdAndDelete(id);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    const { deletedCount } = await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    logger.info(`Webhook ${id} deleted with ${deletedCount} deliveries`);
+    return webhook;
+  }
+
+  async listWebhooks({ page, limit } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [webhooks, total] = await Promise.all([
+      Webhook.find()
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Webhook.countDocuments()
+    ]);
+
+    return {
+      webhooks,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Delivery log of a webhook, newest first
+   */
+  async listDeliveries(webhookId, { status, event, page, limit } = {}) {
+    await this.getWebhook(webhookId);
+
+    const query = { webhook: webhookId };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Send an earlier delivery's payload again as a new delivery, with its
+   * own attempts and retries. The payload keeps its event id so receivers
+   * can recognise a duplicate.
+   */
+  async redeliver(webhookId, deliveryId) {
+    const webhook = await Webhook.findById(webhookId).select('+secret');
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhook._id });
+    if (!original) {
+      throw new Error('Delivery not found');
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id,
+      nextAttemptAt: this.leaseExpiry()
+    });
+
+    logger.info(`Redelivering ${original.event} ${original.id} to webhook ${webhookId}`);
+    return this.attempt(delivery, webhook);
+  }
+
+  /**
+   * Notify the webhooks subscribed to an event. Delivery happens in the
+   * background and never fails the caller.
+   */
+  emit(event, data) {
+    this.dispatch(event, data).catch(error => {
+      logger.error(`Failed to dispatch webhook event ${event}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Record a delivery for every subscribed webhook and make the first
+   * attempt. Returns the deliveries after that attempt.
+   */
+  async dispatch(event, data) {
+    if (!isMongoConnected()) return [];
+
+    const webhooks = await Webhook.find({ active: true, events: event }).select('+secret');
+    if (webhooks.length === 0) return [];
+
+    const payload = {
+      id: new mongoose.Types.ObjectId().toString(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    return Promise.all(webhooks.map(async (webhook) => {
+      // Leased until the first attempt is over, so a sweep on another
+      // instance does not send it at the same time
+      const delivery = await WebhookDelivery.create({
+        webhook: webhook._id,
+        event,
+        payload,
+        nextAttemptAt: this.leaseExpiry()
+      });
+      return this.attempt(delivery, webhook);
+    }));
+  }
+
+  /**
+   * POST a delivery to its webhook and log the attempt. A non-2xx response
+   * or a network error schedules a retry until MAX_ATTEMPTS is reached.
+   */
+  async attempt(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+
+    let statusCode = null;
+    let error = null;
+    try {
+      // Hosts are resolved again for every delivery, since their addresses
+      // can change after the webhook was created
+      await this.assertDeliverable(webhook.url);
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'blockchain-dispute-resolver-webhooks/1.0',
+          'X-Webhook-Id': delivery.payload.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        ...agents,
+        validateStatus: () => true
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+        error = `HTTP ${statusCode}${text ? `: ${text}` : ''}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const attemptCount = delivery.attempts.length + 1;
+    const update = {
+      $push: {
+        attempts: {
+          at: startedAt,
+          statusCode,
+          error: error ? error.slice(0, MAX_ERROR_LENGTH) : null,
+          durationMs: Date.now() - startedAt.getTime()
+        }
+      }
+    };
+
+    if (!error) {
+      update.$set = { status: 'delivered', deliveredAt: new Date(), nextAttemptAt: null };
+    } else if (attemptCount >= MAX_ATTEMPTS) {
+      update.$set = { status: 'failed', nextAttemptAt: null };
+    } else {
+      update.$set = { nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attemptCount - 1)) };
+    }
+
+    const updated = await WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+
+    if (error) {
+      logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) attempt ${attemptCount} failed: ${error}`);
+    } else {
+      logger.info(`Webhook delivery ${delivery.id} (${delivery.event}) delivered with HTTP ${statusCode}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Refuse URLs whose host resolves to a loopback, private or link-local
+   * address, so webhooks cannot reach internal services
+   */
+  async assertDeliverable(url) {
+    if (ALLOW_PRIVATE_URLS) return;
+    await assertPublicUrl(url);
+  }
+
+  /**
+   * Hex HMAC-SHA256 of `<timestamp>.<body>` with the webhook secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  leaseExpiry() {
+    return new Date(Date.now() + TIMEOUT_MS * 2);
+  }
+
+  /**
+   * Retry the pending deliveries that are due. Each one is claimed with a
+   * conditional update first, so several instances can sweep at once.
+   */
+  async retryDue() {
+    if (!isMongoConnected()) return 0;
+
+    let retried = 0;
+    while (retried < SWEEP_BATCH) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        { $set: { nextAttemptAt: this.leaseExpiry() } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+      if (!delivery) break;
+
+      const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+      if (!webhook || !webhook.active) {
+        await WebhookDelivery.findByIdAndUpdate(delivery._id, {
+          $set: { status: 'failed', nextAttemptAt: null },
+          $push: { attempts: { statusCode: null, error: 'Webhook is disabled or deleted', durationMs: 0 } }
+        });
+      } else {
+        await this.attempt(delivery, webhook);
+      }
+      retried++;
+    }
+    return retried;
+  }
+
+  /**
+   * Start retrying failed deliveries in the background
+   */
+  start() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.retryDue().catch(error => logger.error(`Webhook retry sweep failed: ${error.message}`));
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = new WebhookService();
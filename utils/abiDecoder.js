@@ -0,0 +1,41 @@
+/**
+ * Convert a decoded ABI value into plain JSON: BigInts become decimal
+ * strings, tuples become objects keyed by component name and arrays are
+ * converted element by element
+ */
+const formatValue = (value, param) => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (param && param.baseType === 'array' && Array.isArray(value)) {
+    return Array.from(value, item => formatValue(item, param.arrayChildren));
+  }
+
+  if (param && param.baseType === 'tuple' && Array.isArray(value)) {
+    return namedArgs(param.components, value);
+  }
+
+  if (Array.isArray(value)) {
+    return Array.from(value, item => formatValue(item));
+  }
+
+  return value;
+};
+
+/**
+ * Map decoded values onto their parameter names (unnamed parameters are
+ * keyed by position as arg0, arg1, ...)
+ */
+const namedArgs = (inputs, values) => {
+  const args = {};
+  inputs.forEach((input, index) => {
+    args[input.name || `arg${index}`] = formatValue(values[index], input);
+  });
+  return args;
+};
+
+module.exports = {
+  formatValue,
+  namedArgs
+};
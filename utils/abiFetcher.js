@@ -1,134 +1,153 @@
-const axios = require('axios');
 const logger = require('../config/logger');
+const { ethers } = require('ethers');
 const { getRedisClient } = require('../config/database');
+const { namedArgs } = require('./abiDecoder');
+const { DEFAULT_CHAIN_ID, getChain } = require('../config/chains');
+const abiRegistryService = require('../services/abiRegistryService');
+const { createExplorer } = require('../services/explorers');
+
+// How long an address without a published ABI is remembered before the
+// explorers are asked again
+const MISSING_ABI_TTL = 3600;
 
 class ABIFetcher {
   constructor() {
-    this.redisClient = getRedisClient();
-    this.explorers = {
-      monadscan: {
-        baseUrl: 'https://testnet.monadscan.com/api',
-        apiKey: process.env.MONADSCAN_API_KEY
-      },
-      monadexplorer: {
-        baseUrl: 'https://testnet.monadexplorer.com/api',
-        apiKey: process.env.MONADEXPLORER_API_KEY
-      }
-    };
+    this.explorers = {};
   }
 
   /**
-   * Fetch ABI from MonadScan
+   * Redis client, resolved on use since the connection is opened after
+   * this module is loaded
    */
-  async fetchFromMonadScan(contractAddress) {
-    try {
-      const response = await axios.get(this.explorers.monadscan.baseUrl, {
-        params: {
-          module: 'contract',
-          action: 'getabi',
-          address: contractAddress,
-          apikey: this.explorers.monadscan.apiKey
-        },
-        timeout: 10000
-      });
-
-      if (response.data.status === '1' && response.data.result !== 'Contract source code not verified') {
-        logger.info(`ABI fetched from MonadScan for ${contractAddress}`);
-        return JSON.parse(response.data.result);
-      }
-      return null;
-    } catch (error) {
-      logger.warn(`Failed to fetch ABI from MonadScan: ${error.message}`);
-      return null;
+  get redisClient() {
+    return getRedisClient();
+  }
+
+  /**
+   * Explorer adapters of a chain, in the order they are tried
+   */
+  getExplorers(chainId) {
+    if (!this.explorers[chainId]) {
+      const chain = getChain(chainId);
+      this.explorers[chainId] = (chain ? chain.explorers : []).map(config => createExplorer(config, chainId));
     }
+    return this.explorers[chainId];
   }
 
   /**
-   * Fetch transaction logs from MonadScan
+   * Fetch logs emitted by a contract from the first explorer that has them
    */
-  async fetchLogsFromMonadScan(contractAddress, fromBlock = 0, toBlock = 'latest') {
-    try {
-      const response = await axios.get(this.explorers.monadscan.baseUrl, {
-        params: {
-          module: 'logs',
-          action: 'getLogs',
-          fromBlock: fromBlock,
-          toBlock: toBlock,
-          address: contractAddress,
-          apikey: this.explorers.monadscan.apiKey
-        },
-        timeout: 10000
-      });
-
-      if (response.data.status === '1' && response.data.result) {
-        logger.info(`Logs fetched from MonadScan for ${contractAddress}`);
-        return response.data.result;
+  async fetchLogs(contractAddress, fromBlock = 0, toBlock = 'latest', chainId = DEFAULT_CHAIN_ID) {
+    for (const explorer of this.getExplorers(chainId)) {
+      const logs = await explorer.fetchLogs(contractAddress, fromBlock, toBlock);
+      if (logs.length > 0) {
+        return logs;
       }
-      return [];
-    } catch (error) {
-      logger.warn(`Failed to fetch logs from MonadScan: ${error.message}`);
-      return [];
     }
+    return [];
   }
 
   /**
-   * Fetch ABI from MonadExplorer
+   * Try multiple sources to fetch ABI. ABIs uploaded to the local registry
+   * take precedence over the cache and the explorers.
    */
-  async fetchFromMonadExplorer(contractAddress) {
+  async fetchABI(contractAddress, chainId = DEFAULT_CHAIN_ID) {
+    // First check the local registry
     try {
-      const response = await axios.get(`${this.explorers.monadexplorer.baseUrl}/contracts/${contractAddress}/abi`, {
-        headers: {
-          'Accept': 'application/json'
-        },
-        timeout: 10000
-      });
-
-      if (response.data && response.data.abi) {
-        logger.info(`ABI fetched from MonadExplorer for ${contractAddress}`);
-        return response.data.abi;
+      const registered = await abiRegistryService.getLatestABI(contractAddress, chainId);
+      if (registered) {
+        logger.info(`Using registry ABI version ${registered.version} for ${contractAddress} on chain ${chainId}`);
+        return registered.abi;
       }
-      return null;
     } catch (error) {
-      logger.warn(`Failed to fetch ABI from MonadExplorer: ${error.message}`);
-      return null;
+      logger.warn(`Failed to read ABI registry for ${contractAddress}: ${error.message}`);
     }
-  }
 
-  /**
-   * Try multiple sources to fetch ABI
-   */
-  async fetchABI(contractAddress) {
-    // First check cache
-    const cachedABI = await this.getCachedABI(contractAddress);
+    // Then check cache
+    const cachedABI = await this.getCachedABI(contractAddress, chainId);
     if (cachedABI) {
       logger.info(`Using cached ABI for ${contractAddress}`);
       return cachedABI;
     }
 
-    // Try MonadScan first
-    let abi = await this.fetchFromMonadScan(contractAddress);
-    
-    // If not found, try MonadExplorer
-    if (!abi) {
-      abi = await this.fetchFromMonadExplorer(contractAddress);
+    if (await this.isKnownMissing(contractAddress, chainId)) {
+      return null;
+    }
+
+    // Then ask the chain's explorers in order
+    let abi = null;
+    for (const explorer of this.getExplorers(chainId)) {
+      abi = await explorer.fetchABI(contractAddress);
+      if (abi) break;
     }
 
-    // Cache the ABI if found
+    // Cache the ABI if found, otherwise remember that it is missing
     if (abi) {
-      await this.cacheABI(contractAddress, abi);
+      await this.cacheABI(contractAddress, abi, chainId);
+    } else {
+      await this.markMissing(contractAddress, chainId);
     }
 
     return abi;
   }
 
+  /**
+   * Fetch ABIs for several addresses in parallel, keyed by lowercase address.
+   * Addresses without an ABI are left out.
+   */
+  async fetchABIs(addresses, chainId = DEFAULT_CHAIN_ID) {
+    const unique = Array.from(new Set(addresses.filter(Boolean).map(address => address.toLowerCase())));
+    const abis = {};
+
+    await Promise.all(unique.map(async (address) => {
+      try {
+        const abi = await this.fetchABI(address, chainId);
+        if (abi) {
+          abis[address] = abi;
+        }
+      } catch (error) {
+        logger.warn(`Failed to fetch ABI for ${address}: ${error.message}`);
+      }
+    }));
+
+    return abis;
+  }
+
+  /**
+   * Remember that no explorer has an ABI for this address
+   */
+  async markMissing(contractAddress, chainId = DEFAULT_CHAIN_ID) {
+    if (!this.redisClient) return;
+
+    try {
+      await this.redisClient.setEx(`abi:missing:${chainId}:${contractAddress.toLowerCase()}`, MISSING_ABI_TTL, '1');
+    } catch (error) {
+      logger.error('Failed to cache missing ABI marker:', error.message);
+    }
+  }
+
+  /**
+   * Check whether the address was recently found to have no ABI
+   */
+  async isKnownMissing(contractAddress, chainId = DEFAULT_CHAIN_ID) {
+    if (!this.redisClient) return false;
+
+    try {
+      return Boolean(await this.redisClient.get(`abi:missing:${chainId}:${contractAddress.toLowerCase()}`));
+    } catch (error) {
+      logger.error('Failed to read missing ABI marker:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Cache ABI in Redis
    */
-  async cacheABI(contractAddress, abi) {
+  async cacheABI(contractAddress, abi, chainId = DEFAULT_CHAIN_ID) {
     if (!this.redisClient) return;
     
     try {
-      const key = `abi:${contractAddress.toLowerCase()}`;
+      const key = `abi:${chainId}:${contractAddress.toLowerCase()}`;
       await this.redisClient.setEx(key, 86400, JSON.stringify(abi)); // Cache for 24 hours
       logger.info(`ABI cached for ${contractAddress}`);
     } catch (error) {
@@ -139,11 +158,11 @@ class ABIFetcher {
   /**
    * Get cached ABI from Redis
    */
-  async getCachedABI(contractAddress) {
+  async getCachedABI(contractAddress, chainId = DEFAULT_CHAIN_ID) {
     if (!this.redisClient) return null;
     
     try {
-      const key = `abi:${contractAddress.toLowerCase()}`;
+      const key = `abi:${chainId}:${contractAddress.toLowerCase()}`;
       const cached = await this.redisClient.get(key);
       return cached ? JSON.parse(cached) : null;
     } catch (error) {
@@ -152,11 +171,32 @@ class ABIFetcher {
     }
   }
 
+  /**
+   * Decode a single log against an ABI. Returns the event name, signature,
+   * named arguments and parameter fragments, or null when the ABI has no
+   * matching event.
+   */
+  decodeLog(log, abi) {
+    try {
+      const contractInterface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+      const parsedLog = contractInterface.parseLog({ topics: log.topics, data: log.data });
+      if (!parsedLog) return null;
+
+      return {
+        name: parsedLog.name,
+        signature: parsedLog.signature,
+        args: namedArgs(parsedLog.fragment.inputs, parsedLog.args),
+        inputs: parsedLog.fragment.inputs
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Parse logs using fetched ABI
    */
   parseLogsWithABI(logs, contractAddress, abi) {
-    const { ethers } = require('ethers');
     const parsedLogs = {
       transfers: [],
       failures: [],
@@ -0,0 +1,167 @@
+const { ethers } = require('ethers');
+
+const toAccountKey = (address) => {
+  if (!address) return null;
+  const key = ethers.getAddress(address);
+  return key === ethers.ZeroAddress ? null : key;
+};
+
+class AssetLedger {
+  /**
+   * Aggregate every asset movement of a transaction into net flows per
+   * address: native value (top-level and internal), gas paid by the
+   * sender, ERC-20 and ERC-1155 amounts, and ERC-721 tokens. Mints and
+   * burns are attributed to the counterparty only. `tokens` maps token
+   * address to `{ symbol, decimals }` for formatting.
+   */
+  build({ transaction, events, tokens = {}, nativeSymbol }) {
+    const accounts = new Map();
+    const account = (address) => {
+      const key = toAccountKey(address);
+      if (!key) return null;
+      if (!accounts.has(key)) {
+        accounts.set(key, { native: { received: 0n, sent: 0n, gasPaid: 0n }, tokens: new Map(), nfts: new Map() });
+      }
+      return accounts.get(key);
+    };
+
+    const moveNative = (from, to, value) => {
+      const amount = BigInt(value || 0);
+      if (amount === 0n) return;
+      const sender = account(from);
+      const receiver = account(to);
+      if (sender) sender.native.sent += amount;
+      if (receiver) receiver.native.received += amount;
+    };
+
+    const tokenEntry = (holder, token, standard, tokenId) => {
+      const key = tokenId === undefined ? token : `${token}:${tokenId}`;
+      if (!holder.tokens.has(key)) {
+        holder.tokens.set(key, { token: ethers.getAddress(token), standard, tokenId, received: 0n, sent: 0n });
+      }
+      return holder.tokens.get(key);
+    };
+
+    const moveToken = (from, to, token, standard, value, tokenId) => {
+      if (!token) return;
+      const amount = BigInt(value || 0);
+      const sender = account(from);
+      const receiver = account(to);
+      if (sender) tokenEntry(sender, token, standard, tokenId).sent += amount;
+      if (receiver) tokenEntry(receiver, token, standard, tokenId).received += amount;
+    };
+
+    const nftEntry = (holder, token) => {
+      if (!holder.nfts.has(token)) {
+        holder.nfts.set(token, { token: ethers.getAddress(token), standard: 'ERC721', received: [], sent: [] });
+      }
+      return holder.nfts.get(token);
+    };
+
+    // A reverted transaction moves nothing but its gas
+    if (transaction.status === 'success') {
+      moveNative(transaction.from, transaction.to, transaction.value);
+    }
+    const payer = account(transaction.from);
+    if (payer && transaction.fee) {
+      payer.native.gasPaid += BigInt(transaction.fee);
+    }
+
+    for (const transfer of (events && events.internalTransfers) || []) {
+      moveNative(transfer.from, transfer.to, transfer.value);
+    }
+
+    for (const transfer of (events && events.transfers) || []) {
+      if (transfer.type === 'ERC721 Transfer') {
+        const sender = account(transfer.from);
+        const receiver = account(transfer.to);
+        if (sender && transfer.address) nftEntry(sender, transfer.address).sent.push(transfer.tokenId);
+        if (receiver && transfer.address) nftEntry(receiver, transfer.address).received.push(transfer.tokenId);
+      } else if (transfer.type === 'ERC1155 Transfer') {
+        moveToken(transfer.from, transfer.to, transfer.address, 'ERC1155', transfer.value, transfer.tokenId);
+      } else {
+        moveToken(transfer.from, transfer.to, transfer.address, 'ERC20', transfer.value);
+      }
+    }
+
+    // Wrapped native deposits mint to the depositor and withdrawals burn
+    for (const deposit of (events && events.deposits) || []) {
+      moveToken(null, deposit.from, deposit.address, 'ERC20', deposit.value);
+    }
+    for (const withdrawal of (events && events.withdrawals) || []) {
+      moveToken(withdrawal.to, null, withdrawal.address, 'ERC20', withdrawal.value);
+    }
+
+    const result = {};
+    for (const [address, entry] of accounts) {
+      result[address] = this.summarize(entry, tokens, nativeSymbol);
+    }
+    return { nativeSymbol, accounts: result };
+  }
+
+  /**
+   * Format a signed base-unit amount with the token's decimals and symbol.
+   * Amounts of tokens with unknown decimals are left in base units.
+   */
+  formatAmount(value, decimals, symbol) {
+    const amount = BigInt(value);
+    const sign = amount < 0n ? '-' : '';
+    const magnitude = amount < 0n ? -amount : amount;
+    const units = Number.isInteger(decimals) ? ethers.formatUnits(magnitude, decimals) : magnitude.toString();
+    return `${sign}${units}${symbol ? ` ${symbol}` : ''}`;
+  }
+
+  /**
+   * Convert an account's running totals to strings with net amounts and
+   * human-readable formatting
+   */
+  summarize(entry, tokens, nativeSymbol) {
+    const { received, sent, gasPaid } = entry.native;
+    const nativeNet = received - sent - gasPaid;
+
+    return {
+      native: {
+        received: received.toString(),
+        sent: sent.toString(),
+        gasPaid: gasPaid.toString(),
+        net: nativeNet.toString(),
+        formatted: {
+          received: this.formatAmount(received, 18, nativeSymbol),
+          sent: this.formatAmount(sent, 18, nativeSymbol),
+          gasPaid: this.formatAmount(gasPaid, 18, nativeSymbol),
+          net: this.formatAmount(nativeNet, 18, nativeSymbol)
+        }
+      },
+      tokens: Array.from(entry.tokens.values()).map((token) => {
+        const info = tokens[token.token] || {};
+        // ERC-1155 amounts are unit counts
+        const decimals = token.standard === 'ERC1155' ? 0 : info.decimals;
+        const net = token.received - token.sent;
+        const summary = {
+          token: token.token,
+          standard: token.standard,
+          symbol: info.symbol || null,
+          decimals: Number.isInteger(decimals) ? decimals : null,
+          received: token.received.toString(),
+          sent: token.sent.toString(),
+          net: net.toString(),
+          formatted: {
+            received: this.formatAmount(token.received, decimals, info.symbol),
+            sent: this.formatAmount(token.sent, decimals, info.symbol),
+            net: this.formatAmount(net, decimals, info.symbol)
+          }
+        };
+        if (token.tokenId !== undefined) {
+          summary.tokenId = token.tokenId;
+        }
+        return summary;
+      }),
+      nfts: Array.from(entry.nfts.values()).map(nft => ({
+        ...nft,
+        symbol: (tokens[nft.token] || {}).symbol || null
+      }))
+    };
+  }
+}
+
+module.exports = new AssetLedger();
@@ -1,11 +1,28 @@
 const { ethers } = require('ethers');
 const logger = require('../config/logger');
 const { getRedisClient } = require('../config/database');
+const abiFetcher = require('./abiFetcher');
+const signatureService = require('../services/signatureService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+const calldataDecoder = require('./calldataDecoder');
+const { decodeRevertData, extractRevertData } = require('./revertDecoder');
+const traceAnalyzer = require('./traceAnalyzer');
+const assetLedger = require('./assetLedger');
+const RpcPool = require('./rpcPool');
+const pendingTracker = require('./pendingTracker');
+const { mapWithConcurrency } = require('./concurrency');
+const { DEFAULT_CHAIN_ID, getChain } = require('../config/chains');
 
-// Standard ERC-20 and ERC-721 ABIs for common events
+// JSON-RPC codes and messages that mean the node does not serve debug_*
+const TRACE_UNSUPPORTED_CODES = [-32601, -32004];
+const TRACE_UNSUPPORTED_PATTERN = /not (found|supported|available)|does not exist|unsupported/i;
+
+// Standard token ABIs for common events
 const ERC20_ABI = [
   'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
   'event Deposit(address indexed from, uint256 value)',
+  'event Withdrawal(address indexed to, uint256 value)',
   'function balanceOf(address owner) view returns (uint256)',
   'function decimals() view returns (uint8)',
   'function symbol() view returns (string)',
@@ -14,88 +31,295 @@ const ERC20_ABI = [
 
 const ERC721_ABI = [
   'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+  'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
   'function ownerOf(uint256 tokenId) view returns (address)',
   'function balanceOf(address owner) view returns (uint256)',
   'function name() view returns (string)',
   'function symbol() view returns (string)'
 ];
 
+const ERC1155_ABI = [
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+  'event ApprovalForAll(address indexed account, address indexed operator, bool approved)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)'
+];
+
+// Tried in order for logs whose emitter has no ABI. ERC-20 and ERC-721
+// share event signatures and are told apart by their indexed topics.
+const STANDARD_INTERFACES = [ERC20_ABI, ERC721_ABI, ERC1155_ABI].map(abi => new ethers.Interface(abi));
+
+const MAX_UINT256 = ethers.MaxUint256.toString();
+
+// Bounds on balance snapshots; each (address, asset) pair costs two calls.
+// Parties and tokens beyond them are counted in `truncated`.
+const MAX_SNAPSHOT_ADDRESSES = 20;
+const MAX_SNAPSHOT_TOKENS = 10;
+
+// Parties whose balances are read at the same time
+const SNAPSHOT_CONCURRENCY = 4;
+
+// Analyses of final blocks never change; recent ones may be reorganized
+const FINAL_ANALYSIS_TTL = parseInt(process.env.ANALYSIS_CACHE_TTL) || 7 * 24 * 3600;
+const RECENT_ANALYSIS_TTL = parseInt(process.env.ANALYSIS_RECENT_CACHE_TTL) || 30;
+const DEFAULT_FINALITY_BLOCKS = parseInt(process.env.ANALYSIS_FINALITY_BLOCKS) || 12;
+const MINED_STATUSES = ['success', 'failed'];
+
+// Nodes may index a receipt shortly after its block; a mined transaction
+// without one is read again this many times, this far apart
+const RECEIPT_ATTEMPTS = 3;
+const RECEIPT_RETRY_MS = 1000;
+
+// Seconds to wait for confirmations when a request does not say
+const DEFAULT_WAIT_TIMEOUT = 30;
+
 class BlockchainService {
   constructor() {
-    this.provider = null;
-    this.redisClient = getRedisClient();
-    this.initProvider();
+    this.providers = {};
+    this.traceSupported = {};
   }
 
   /**
-   * Initialize Ethereum provider with retry logic
+   * Redis client, resolved on use since the connection is opened after
+   * this module is loaded
    */
-  async initProvider() {
-    const maxRetries = 3;
-    let retries = 0;
+  get redisClient() {
+    return getRedisClient();
+  }
 
-    while (retries < maxRetries) {
-      try {
-        const rpcUrl = process.env.MONAD_RPC_URL || process.env.ETHEREUM_RPC_URL;
-        this.provider = new ethers.JsonRpcProvider(rpcUrl);
-        await this.provider.getNetwork();
-        logger.info(`Provider initialized successfully for ${rpcUrl.includes('monad') ? 'Monad Testnet' : 'Ethereum'}`);
-        break;
-      } catch (error) {
-        retries++;
-        logger.error(`Provider initialization attempt ${retries} failed:`, error.message);
-        
-        if (retries >= maxRetries) {
-          throw new Error('Failed to initialize provider after 3 attempts');
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+  /**
+   * RPC pool for a chain from the registry, created on first use
+   */
+  getProvider(chainId = DEFAULT_CHAIN_ID) {
+    if (!this.providers[chainId]) {
+      const chain = getChain(chainId);
+      if (!chain || chain.rpcUrls.length === 0) {
+        throw new Error(`Unsupported chain: ${chainId}`);
       }
+      this.providers[chainId] = new RpcPool(chain);
     }
+    return this.providers[chainId];
   }
 
   /**
-   * Get comprehensive transaction analysis
+   * Probe a chain's RPC endpoints at startup. Unreachable endpoints are
+   * logged and skipped by the pool rather than stopping the service.
    */
-  async analyzeTransaction(txHash, contractAddress) {
+  async initProvider(chainId = DEFAULT_CHAIN_ID) {
     try {
-      // Get transaction details
-      const transaction = await this.provider.getTransaction(txHash);
-      if (!transaction) {
-        throw new Error('Transaction not found');
+      const health = await this.getProvider(chainId).checkHealth();
+      const healthy = health.endpoints.filter(endpoint => endpoint.healthy).length;
+      if (healthy === 0) {
+        logger.error(`No RPC endpoint of ${health.name} is reachable, requests will keep retrying them`);
+      } else {
+        logger.info(`Provider initialized for ${health.name} with ${healthy}/${health.endpoints.length} healthy RPC endpoints`);
       }
+      return health;
+    } catch (error) {
+      logger.error(`Provider initialization failed for chain ${chainId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Health of the RPC endpoints of every chain used so far
+   */
+  getRpcHealth() {
+    return Object.values(this.providers).map(pool => pool.getHealth());
+  }
+
+  /**
+   * Get comprehensive transaction analysis on `options.chainId`, for
+   * `contractAddress` or, without one, the transaction's `to`. Internal
+   * calls are traced when `options.trace` is set, or by default when
+   * TRACE_ENABLED is true.
+   *
+   * Analyses are cached in Redis; `options.cache: false` skips the lookup
+   * but still refreshes the cached copy. `cache` in the result reports
+   * whether it was served from the cache.
+   *
+   * With `options.confirmations`, waits up to `options.timeout` seconds for
+   * the transaction to be mined and confirmed first; `wait` in the result
+   * reports whether it was.
+   */
+  async analyzeTransaction(txHash, contractAddress, options = {}) {
+    const chainId = options.chainId || DEFAULT_CHAIN_ID;
+    const trace = options.trace !== undefined ? options.trace : process.env.TRACE_ENABLED === 'true';
+    const useCache = options.cache !== false;
 
-      // Get transaction receipt
-      const receipt = await this.provider.getTransactionReceipt(txHash);
+    const wait = options.confirmations
+      ? await this.waitForConfirmations(txHash, options.confirmations, options.timeout || DEFAULT_WAIT_TIMEOUT, chainId)
+      : null;
+
+    if (!this.redisClient) {
+      const analysis = await this.fetchAnalysis(txHash, contractAddress, { trace, chainId });
+      return { ...analysis, cache: { status: 'disabled' }, wait };
+    }
+
+    const key = this.analysisCacheKey(chainId, txHash, contractAddress, trace);
+    if (useCache) {
+      const cached = await this.getCachedData(key);
+      if (cached) {
+        return {
+          ...cached.analysis,
+          cache: { status: 'hit', cachedAt: cached.cachedAt, final: cached.final },
+          wait
+        };
+      }
+    }
+
+    const analysis = await this.fetchAnalysis(txHash, contractAddress, { trace, chainId });
+    const cached = await this.cacheAnalysis(key, analysis, chainId);
+
+    return {
+      ...analysis,
+      cache: { status: useCache ? 'miss' : 'bypass', ...cached },
+      wait
+    };
+  }
+
+  /**
+   * Redis key of a cached analysis. Every key of a transaction shares the
+   * `analysis:<chainId>:<txHash>:` prefix so they can be invalidated together.
+   */
+  analysisCacheKey(chainId, txHash, contractAddress, trace) {
+    const contract = contractAddress ? contractAddress.toLowerCase() : 'none';
+    return `analysis:${chainId}:${txHash.toLowerCase()}:${contract}:${trace ? 'trace' : 'notrace'}`;
+  }
+
+  /**
+   * Cache an analysis briefly while its block could still be reorganized,
+   * and for ANALYSIS_CACHE_TTL once the block has the chain's
+   * `finalityBlocks` confirmations
+   */
+  async cacheAnalysis(key, analysis, chainId) {
+    // Unmined transactions change state on their own and are not cached
+    if (!MINED_STATUSES.includes(analysis.transaction.status)) {
+      return { final: false };
+    }
+
+    const finalityBlocks = getChain(chainId).finalityBlocks || DEFAULT_FINALITY_BLOCKS;
+
+    let confirmations = null;
+    try {
+      const latestBlock = await this.getProvider(chainId).getBlockNumber();
+      confirmations = latestBlock - analysis.transaction.blockNumber + 1;
+    } catch (error) {
+      logger.warn(`Failed to read the latest block of chain ${chainId}: ${error.message}`);
+    }
+
+    const final = confirmations !== null && confirmations >= finalityBlocks;
+    const ttl = final ? FINAL_ANALYSIS_TTL : RECENT_ANALYSIS_TTL;
+    const cachedAt = new Date().toISOString();
+
+    await this.cacheData(key, { analysis, cachedAt, final }, ttl);
+    return { cachedAt, final, confirmations, ttl };
+  }
+
+  /**
+   * Remove every cached analysis of a transaction. Returns the number of
+   * entries removed.
+   */
+  async invalidateAnalysis(txHash, chainId = DEFAULT_CHAIN_ID) {
+    if (!this.redisClient) {
+      throw new Error('Analysis cache is not available');
+    }
+
+    const keys = [];
+    for await (const key of this.redisClient.scanIterator({ MATCH: `analysis:${chainId}:${txHash.toLowerCase()}:*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+    if (keys.length > 0) {
+      await this.redisClient.del(keys);
+    }
+
+    logger.info(`Invalidated ${keys.length} cached analyses of ${txHash} on chain ${chainId}`);
+    return keys.length;
+  }
+
+  /**
+   * Analyze a transaction from the chain, bypassing the cache
+   */
+  async fetchAnalysis(txHash, contractAddress, { trace, chainId }) {
+    try {
+      const provider = this.getProvider(chainId);
+
+      // Get transaction details; unknown hashes may have been dropped or
+      // replaced after they were seen pending
+      const transaction = await provider.getTransaction(txHash);
+      if (!transaction || transaction.blockNumber === null) {
+        return await this.analyzeUnminedTransaction(txHash, transaction, contractAddress, chainId);
+      }
+      contractAddress = contractAddress || transaction.to;
+
+      // The transaction is mined, so a missing receipt is not indexed yet;
+      // it must not be reported as pending in the mempool
+      const receipt = await this.getMinedReceipt(txHash, provider);
       if (!receipt) {
-        throw new Error('Transaction receipt not found');
+        throw new Error(`Transaction receipt is not available yet: ${txHash} was mined in block ${transaction.blockNumber}, retry shortly`);
       }
 
       // Get block details for timestamp
-      const block = await this.provider.getBlock(receipt.blockNumber);
+      const block = await provider.getBlock(receipt.blockNumber);
       
+      // Fetch ABIs for the called contract and every log emitter once
+      const abis = await abiFetcher.fetchABIs([transaction.to, ...receipt.logs.map(log => log.address)], chainId);
+
       // Parse logs to find sender/receiver and events
-      const parsedLogs = await this.parseLogs(receipt.logs, contractAddress);
+      const parsedLogs = await this.parseLogs(receipt.logs, contractAddress, abis, chainId);
+
+      // Decode the calldata into method and arguments
+      const decodedInput = await calldataDecoder.decode(transaction.to, transaction.data, { abis, chainId });
+
+      // Recover why a failed transaction reverted
+      const revert = receipt.status === 1 ? null : await this.getRevertReason(transaction, receipt, abis, chainId);
+
+      // Follow value moved by internal calls, which emits no logs
+      const callTrace = trace ? await this.traceTransaction(txHash, abis, chainId) : null;
+      if (callTrace && callTrace.available) {
+        parsedLogs.internalTransfers = callTrace.internalTransfers;
+        for (const transfer of callTrace.internalTransfers) {
+          if (!parsedLogs.senderAddresses.includes(transfer.from)) parsedLogs.senderAddresses.push(transfer.from);
+          if (!parsedLogs.receiverAddresses.includes(transfer.to)) parsedLogs.receiverAddresses.push(transfer.to);
+        }
+      }
       
       // Get contract state if possible
-      const contractState = await this.getContractState(contractAddress, transaction.from);
+      const contractState = await this.getContractState(contractAddress, parsedLogs, transaction, receipt.blockNumber, chainId);
+
+      const transactionDetails = {
+        hash: txHash,
+        chainId,
+        blockNumber: receipt.blockNumber,
+        blockTime: block ? new Date(block.timestamp * 1000).toISOString() : null,
+        from: transaction.from,
+        to: transaction.to,
+        value: transaction.value.toString(),
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed',
+        gasPrice: transaction.gasPrice.toString(),
+        fee: receipt.fee.toString(),
+        nonce: transaction.nonce,
+        input: transaction.data,
+        decodedInput,
+        revert
+      };
+
+      // Resolve every token seen in the receipt and show amounts in its units
+      const tokens = await tokenMetadataService.resolve(this.collectTokenAddresses(parsedLogs), { provider, chainId });
+      this.annotateAmounts(parsedLogs, tokens);
+
+      // Net asset flows per address
+      const ledger = assetLedger.build({ transaction: transactionDetails, events: parsedLogs, tokens, nativeSymbol: getChain(chainId).nativeSymbol });
 
       return {
-        transaction: {
-          hash: txHash,
-          blockNumber: receipt.blockNumber,
-          blockTime: block ? new Date(block.timestamp * 1000).toISOString() : null,
-          from: transaction.from,
-          to: transaction.to,
-          value: transaction.value.toString(),
-          gasUsed: receipt.gasUsed.toString(),
-          status: receipt.status === 1 ? 'success' : 'failed',
-          gasPrice: transaction.gasPrice.toString(),
-          nonce: transaction.nonce
-        },
+        transaction: transactionDetails,
         events: parsedLogs,
+        ledger,
+        trace: callTrace,
         contractState: contractState,
-        analysis: this.analyzeTransactionPattern(transaction, receipt, parsedLogs)
+        analysis: this.analyzeTransactionPattern(transaction, receipt, parsedLogs, decodedInput)
       };
 
     } catch (error) {
@@ -105,96 +329,273 @@ class BlockchainService {
   }
 
   /**
-   * Parse logs to extract sender/receiver addresses and events
+   * Receipt of a mined transaction, read up to RECEIPT_ATTEMPTS times while
+   * the node has not indexed it yet. Null when it still has not.
+   */
+  async getMinedReceipt(txHash, provider) {
+    for (let attempt = 1; attempt <= RECEIPT_ATTEMPTS; attempt++) {
+      const receipt = await provider.getTransactionReceipt(txHash);
+      if (receipt) return receipt;
+      if (attempt < RECEIPT_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, RECEIPT_RETRY_MS));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Describe a transaction that is not in a block: `pending` while it is in
+   * the mempool, `replaced` once another transaction used its nonce (a
+   * speed-up or cancel), and `dropped` when it left the mempool unmined.
+   * Only hashes seen pending before can be reported as dropped or replaced.
+   */
+  async analyzeUnminedTransaction(txHash, transaction, contractAddress, chainId = DEFAULT_CHAIN_ID) {
+    const provider = this.getProvider(chainId);
+    const latestBlock = await provider.getBlock('latest');
+
+    const record = transaction
+      ? await pendingTracker.remember(chainId, transaction, latestBlock.number)
+      : await pendingTracker.recall(chainId, txHash);
+    if (!record) {
+      throw new Error('Transaction not found');
+    }
+    contractAddress = contractAddress || record.to;
+
+    // The sender's nonce moving past this one means another transaction
+    // took its place
+    const confirmedNonce = await provider.getTransactionCount(record.from, 'latest');
+    let status = transaction ? 'pending' : 'dropped';
+    let replacement = null;
+    if (confirmedNonce > record.nonce) {
+      status = 'replaced';
+      replacement = await pendingTracker.findReplacement(provider, record, latestBlock.number);
+    }
+
+    const baseFeePerGas = latestBlock.baseFeePerGas;
+    const maxFee = record.maxFeePerGas || record.gasPrice;
+
+    const transactionDetails = {
+      hash: txHash,
+      chainId,
+      blockNumber: null,
+      blockTime: null,
+      from: record.from,
+      to: record.to,
+      value: record.value,
+      status,
+      type: record.type,
+      gasLimit: record.gasLimit,
+      gasPrice: record.gasPrice,
+      maxFeePerGas: record.maxFeePerGas,
+      maxPriorityFeePerGas: record.maxPriorityFeePerGas,
+      nonce: record.nonce,
+      input: record.data,
+      decodedInput: await calldataDecoder.decode(record.to, record.data, { chainId }),
+      mempool: {
+        firstSeenAt: record.firstSeenAt,
+        firstSeenBlock: record.firstSeenBlock,
+        latestBlock: latestBlock.number,
+        confirmedNonce,
+        // Earlier transactions of the sender that must be mined first
+        nonceGap: Math.max(record.nonce - confirmedNonce, 0),
+        baseFeePerGas: baseFeePerGas !== null ? baseFeePerGas.toString() : null,
+        underpriced: status === 'pending' && baseFeePerGas !== null && maxFee !== null && BigInt(maxFee) < baseFeePerGas
+      },
+      replacement
+    };
+
+    logger.info(`Transaction ${txHash} on chain ${chainId} is ${status}`);
+
+    return {
+      transaction: transactionDetails,
+      events: await this.parseLogs([], contractAddress, {}, chainId),
+      ledger: null,
+      trace: null,
+      contractState: null,
+      analysis: {
+        type: status,
+        isContractCall: Boolean(record.data && record.data !== '0x')
+      }
+    };
+  }
+
+  /**
+   * Wait until a transaction has `confirmations` confirmations, for at most
+   * `timeout` seconds. Resolves whether they were reached rather than
+   * failing, so the analysis can report the transaction as it stands.
+   */
+  async waitForConfirmations(txHash, confirmations, timeout, chainId = DEFAULT_CHAIN_ID) {
+    try {
+      await this.getProvider(chainId).waitForTransaction(txHash, confirmations, timeout * 1000);
+      return { confirmations, timeout, reached: true };
+    } catch (error) {
+      if (error.code !== 'TIMEOUT') throw error;
+      logger.info(`Transaction ${txHash} did not reach ${confirmations} confirmations within ${timeout}s`);
+      return { confirmations, timeout, reached: false };
+    }
+  }
+
+  /**
+   * Trace internal calls with debug_traceTransaction's callTracer. Nodes
+   * without the debug namespace return `available: false` instead of
+   * failing the analysis, and are not asked again.
+   */
+  async traceTransaction(txHash, abis = {}, chainId = DEFAULT_CHAIN_ID) {
+    if (this.traceSupported[chainId] === false) {
+      return { available: false, reason: 'The RPC node does not support debug_traceTransaction' };
+    }
+
+    let rootFrame;
+    try {
+      rootFrame = await this.getProvider(chainId).send('debug_traceTransaction', [txHash, { tracer: 'callTracer' }]);
+    } catch (error) {
+      const rpcError = (error.info && error.info.error) || error.error || error;
+      if (TRACE_UNSUPPORTED_CODES.includes(rpcError.code) || TRACE_UNSUPPORTED_PATTERN.test(rpcError.message || '')) {
+        this.traceSupported[chainId] = false;
+        logger.warn(`Call tracing disabled, RPC node rejected debug_traceTransaction: ${rpcError.message}`);
+        return { available: false, reason: 'The RPC node does not support debug_traceTransaction' };
+      }
+
+      logger.warn(`Failed to trace ${txHash}: ${error.message}`);
+      return { available: false, reason: error.shortMessage || error.message };
+    }
+
+    this.traceSupported[chainId] = true;
+    const callTree = await traceAnalyzer.buildCallTree(rootFrame, { abis, chainId });
+
+    return {
+      available: true,
+      callTree,
+      ...traceAnalyzer.summarize(callTree)
+    };
+  }
+
+  /**
+   * Replay a failed transaction as an eth_call on the state before its block
+   * to recover the revert data, then decode it. Transactions earlier in the
+   * same block are not replayed, so the result is not always exact.
+   */
+  async getRevertReason(transaction, receipt, abis = {}, chainId = DEFAULT_CHAIN_ID) {
+    // A transaction that used its whole gas limit ran out of gas; there is
+    // no revert data to recover
+    if (transaction.gasLimit !== undefined && receipt.gasUsed >= transaction.gasLimit) {
+      return {
+        type: 'OutOfGas',
+        message: `Out of gas: used the full gas limit of ${transaction.gasLimit.toString()}`,
+        reproduced: false
+      };
+    }
+
+    const abi = transaction.to ? abis[transaction.to.toLowerCase()] : null;
+
+    try {
+      await this.getProvider(chainId).call({
+        from: transaction.from,
+        to: transaction.to,
+        data: transaction.data,
+        value: transaction.value,
+        gasLimit: transaction.gasLimit,
+        blockTag: receipt.blockNumber - 1
+      });
+
+      // The replay succeeded, so the failure may have depended on a
+      // transaction earlier in the same block
+      return {
+        type: 'Unknown',
+        message: 'The call did not revert when replayed on the state before its block',
+        reproduced: false
+      };
+    } catch (error) {
+      const data = extractRevertData(error);
+      if (data === null) {
+        logger.warn(`Could not recover revert data for ${transaction.hash}: ${error.message}`);
+        return {
+          type: 'Unknown',
+          message: error.shortMessage || error.message,
+          reproduced: false
+        };
+      }
+
+      return {
+        ...await decodeRevertData(data, abi),
+        reproduced: true
+      };
+    }
+  }
+
+  /**
+   * Parse logs to extract sender/receiver addresses and events. Logs from
+   * contracts with a published ABI are decoded with it; the standard
+   * ERC-20/ERC-721/ERC-1155 fragments are only used when no ABI is
+   * available. `abis` may carry ABIs the caller already fetched.
    */
-  async parseLogs(logs, contractAddress) {
+  async parseLogs(logs, contractAddress, abis = null, chainId = DEFAULT_CHAIN_ID) {
     const parsedLogs = {
       transfers: [],
+      approvals: [],
       deposits: [],
+      withdrawals: [],
       otherEvents: [],
       contractType: 'Unknown',
+      contractTypes: {},
       senderAddresses: new Set(),
       receiverAddresses: new Set()
     };
 
     try {
-      for (const log of logs) {
-        let parsed = false;
-        
-        // Try to parse as ERC-20 Transfer
+      // Fetch the ABI of every contract that emitted a log
+      const emitterABIs = abis || await abiFetcher.fetchABIs(logs.map(log => log.address), chainId);
+      const interfaces = {};
+      for (const [address, abi] of Object.entries(emitterABIs)) {
+        if (!abi) continue;
         try {
-          const erc20Interface = new ethers.Interface(ERC20_ABI);
-          const parsedLog = erc20Interface.parseLog(log);
-          
-          if (parsedLog && parsedLog.name === 'Transfer') {
-            const from = parsedLog.args[0];
-            const to = parsedLog.args[1];
-            const value = parsedLog.args[2].toString();
-            
-            parsedLogs.transfers.push({
-              type: 'ERC20 Transfer',
-              from: from,
-              to: to,
-              value: value,
-              logIndex: log.logIndex,
-              blockNumber: log.blockNumber
-            });
-            
-            parsedLogs.senderAddresses.add(from);
-            parsedLogs.receiverAddresses.add(to);
-            parsedLogs.contractType = 'ERC20';
-            parsed = true;
-          } else if (parsedLog && parsedLog.name === 'Deposit') {
-            const from = parsedLog.args[0];
-            const value = parsedLog.args[1].toString();
-            
-            parsedLogs.deposits.push({
-              type: 'Deposit',
-              from: from,
-              value: value,
-              logIndex: log.logIndex,
-              blockNumber: log.blockNumber
-            });
-            
-            parsedLogs.senderAddresses.add(from);
-            parsedLogs.contractType = 'ERC20';
-            parsed = true;
-          }
+          interfaces[address] = new ethers.Interface(abi);
         } catch (error) {
-          // Continue to next parsing attempt
+          logger.warn(`Invalid ABI for ${address}: ${error.message}`);
         }
+      }
+
+      for (const log of logs) {
+        let parsed = false;
 
-        // Try to parse as ERC-721 Transfer
+        // Try the emitting contract's own ABI first
+        const contractInterface = log.address ? interfaces[log.address.toLowerCase()] : null;
+        if (contractInterface) {
+          parsed = this.parseLogWithABI(log, contractInterface, parsedLogs);
+        }
+
+        // Try the standard token events
         if (!parsed) {
-          try {
-            const erc721Interface = new ethers.Interface(ERC721_ABI);
-            const parsedLog = erc721Interface.parseLog(log);
-            
-            if (parsedLog && parsedLog.name === 'Transfer') {
-              const from = parsedLog.args[0];
-              const to = parsedLog.args[1];
-              const tokenId = parsedLog.args[2].toString();
-              
-              parsedLogs.transfers.push({
-                type: 'ERC721 Transfer',
-                from: from,
-                to: to,
-                tokenId: tokenId,
-                logIndex: log.logIndex,
-                blockNumber: log.blockNumber
-              });
-              
-              parsedLogs.senderAddresses.add(from);
-              parsedLogs.receiverAddresses.add(to);
-              parsedLogs.contractType = 'ERC721';
-              parsed = true;
+          parsed = this.parseStandardLog(log, parsedLogs);
+        }
+
+        // If not parsed with known ABIs, look the event up in the signature database
+        if (!parsed) {
+          const inferred = await signatureService.decodeEvent(log);
+          if (inferred) {
+            const inferredEvent = {
+              type: 'Inferred Event',
+              name: inferred.name,
+              signature: inferred.signature,
+              args: inferred.args,
+              confidence: inferred.confidence,
+              candidates: inferred.candidates,
+              logIndex: log.logIndex,
+              blockNumber: log.blockNumber,
+              address: log.address
+            };
+            if (!inferred.args) {
+              inferredEvent.topics = log.topics;
+              inferredEvent.data = log.data;
             }
-          } catch (error) {
-            // Continue to next parsing attempt
+
+            this.collectTopicAddresses(log, parsedLogs);
+            parsedLogs.otherEvents.push(inferredEvent);
+            parsed = true;
           }
         }
 
-        // If not parsed with known ABIs, extract raw event data
+        // Otherwise extract raw event data
         if (!parsed) {
           const rawEvent = {
             type: 'Unknown Event',
@@ -205,27 +606,21 @@ class BlockchainService {
             address: log.address
           };
           
-          // Try to extract addresses from topics (common pattern)
-          for (let i = 1; i < log.topics.length; i++) {
-            const topic = log.topics[i];
-            if (topic.length === 66) { // 32 bytes + 0x
-              try {
-                const address = ethers.getAddress('0x' + topic.slice(26));
-                if (i === 1) {
-                  parsedLogs.senderAddresses.add(address);
-                } else if (i === 2) {
-                  parsedLogs.receiverAddresses.add(address);
-                }
-              } catch (error) {
-                // Not an address
-              }
-            }
-          }
+          this.collectTopicAddresses(log, parsedLogs);
           
           parsedLogs.otherEvents.push(rawEvent);
         }
       }
 
+      // A receipt touching several token standards is reported as mixed;
+      // the per-contract classification is kept in contractTypes
+      const types = Array.from(new Set(Object.values(parsedLogs.contractTypes)));
+      if (types.length === 1) {
+        parsedLogs.contractType = types[0];
+      } else if (types.length > 1) {
+        parsedLogs.contractType = 'Mixed';
+      }
+
       // Convert Sets to Arrays
       parsedLogs.senderAddresses = Array.from(parsedLogs.senderAddresses);
       parsedLogs.receiverAddresses = Array.from(parsedLogs.receiverAddresses);
@@ -238,47 +633,224 @@ class BlockchainService {
   }
 
   /**
-   * Get contract state information
+   * Decode a log with the emitting contract's ABI and record it. Returns
+   * false when the ABI has no matching event.
    */
-  async getContractState(contractAddress, senderAddress) {
-    try {
-      const contractState = {
-        balances: {},
-        contractInfo: {}
-      };
+  parseLogWithABI(log, contractInterface, parsedLogs) {
+    const decoded = abiFetcher.decodeLog(log, contractInterface);
+    if (!decoded) return false;
+
+    const args = Object.values(decoded.args);
+
+    if (this.recordStandardEvent(log, decoded.signature, args, decoded.inputs, parsedLogs)) {
+      return true;
+    }
+
+    parsedLogs.otherEvents.push({
+      type: 'Decoded Event',
+      name: decoded.name,
+      signature: decoded.signature,
+      args: decoded.args,
+      logIndex: log.logIndex,
+      blockNumber: log.blockNumber,
+      address: log.address
+    });
 
-      // Try to get ERC-20 info
+    // The ABI tells which indexed parameters are addresses; the first is
+    // treated as the sender and the second as the receiver
+    const indexedAddresses = decoded.inputs
+      .map((input, index) => (input.indexed && input.type === 'address' ? args[index] : null))
+      .filter(Boolean);
+    if (indexedAddresses[0]) parsedLogs.senderAddresses.add(indexedAddresses[0]);
+    if (indexedAddresses[1]) parsedLogs.receiverAddresses.add(indexedAddresses[1]);
+    return true;
+  }
+
+  /**
+   * Decode a log with the standard token interfaces and record it. Returns
+   * false when no standard event matches.
+   */
+  parseStandardLog(log, parsedLogs) {
+    for (const standardInterface of STANDARD_INTERFACES) {
       try {
-        const erc20Contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
-        
-        if (senderAddress) {
-          try {
-            contractState.balances[senderAddress] = (await erc20Contract.balanceOf(senderAddress)).toString();
-          } catch (error) {
-            logger.warn('Failed to get ERC-20 balance:', error.message);
-          }
+        const parsedLog = standardInterface.parseLog(log);
+        if (parsedLog && this.recordStandardEvent(log, parsedLog.signature, Array.from(parsedLog.args), parsedLog.fragment.inputs, parsedLogs)) {
+          return true;
         }
+      } catch (error) {
+        // Topic count does not fit this standard, try the next one
+      }
+    }
+    return false;
+  }
 
-        try {
-          contractState.contractInfo.symbol = await erc20Contract.symbol();
-        } catch (error) {
-          // Contract might not have symbol
+  /**
+   * Record a token transfer, approval, deposit or withdrawal and classify
+   * its emitter. Returns false for events that are not one of these.
+   */
+  recordStandardEvent(log, signature, args, inputs, parsedLogs) {
+    const indexedCount = inputs.filter(input => input.indexed).length;
+    const base = { logIndex: log.logIndex, blockNumber: log.blockNumber, address: log.address };
+
+    switch (signature) {
+      case 'Transfer(address,address,uint256)': {
+        // ERC-721 indexes the token id, ERC-20 keeps the value in data
+        const isERC721 = indexedCount === 3;
+        const transfer = { type: isERC721 ? 'ERC721 Transfer' : 'ERC20 Transfer', from: args[0], to: args[1], ...base };
+        if (isERC721) {
+          transfer.tokenId = String(args[2]);
+        } else {
+          transfer.value = String(args[2]);
         }
 
-        try {
-          contractState.contractInfo.name = await erc20Contract.name();
-        } catch (error) {
-          // Contract might not have name
+        parsedLogs.transfers.push(transfer);
+        parsedLogs.senderAddresses.add(args[0]);
+        parsedLogs.receiverAddresses.add(args[1]);
+        this.classifyContract(parsedLogs, log.address, isERC721 ? 'ERC721' : 'ERC20');
+        return true;
+      }
+
+      case 'TransferSingle(address,address,address,uint256,uint256)':
+        parsedLogs.transfers.push({
+          type: 'ERC1155 Transfer',
+          operator: args[0],
+          from: args[1],
+          to: args[2],
+          tokenId: String(args[3]),
+          value: String(args[4]),
+          ...base
+        });
+        parsedLogs.senderAddresses.add(args[1]);
+        parsedLogs.receiverAddresses.add(args[2]);
+        this.classifyContract(parsedLogs, log.address, 'ERC1155');
+        return true;
+
+      case 'TransferBatch(address,address,address,uint256[],uint256[])': {
+        // One entry per token id, all sharing the batch's logIndex
+        const ids = Array.from(args[3]);
+        const values = Array.from(args[4]);
+        ids.forEach((id, batchIndex) => {
+          parsedLogs.transfers.push({
+            type: 'ERC1155 Transfer',
+            operator: args[0],
+            from: args[1],
+            to: args[2],
+            tokenId: String(id),
+            value: String(values[batchIndex]),
+            batchIndex,
+            ...base
+          });
+        });
+        parsedLogs.senderAddresses.add(args[1]);
+        parsedLogs.receiverAddresses.add(args[2]);
+        this.classifyContract(parsedLogs, log.address, 'ERC1155');
+        return true;
+      }
+
+      case 'Approval(address,address,uint256)': {
+        const isERC721 = indexedCount === 3;
+        const approval = { type: isERC721 ? 'ERC721 Approval' : 'ERC20 Approval', owner: args[0], spender: args[1], ...base };
+        if (isERC721) {
+          approval.tokenId = String(args[2]);
+        } else {
+          approval.value = String(args[2]);
+          approval.unlimited = approval.value === MAX_UINT256;
         }
 
+        parsedLogs.approvals.push(approval);
+        parsedLogs.senderAddresses.add(args[0]);
+        parsedLogs.receiverAddresses.add(args[1]);
+        this.classifyContract(parsedLogs, log.address, isERC721 ? 'ERC721' : 'ERC20');
+        return true;
+      }
+
+      case 'ApprovalForAll(address,address,bool)':
+        // Shared by ERC-721 and ERC-1155, so it does not classify the emitter
+        parsedLogs.approvals.push({
+          type: 'ApprovalForAll',
+          owner: args[0],
+          operator: args[1],
+          approved: args[2],
+          ...base
+        });
+        parsedLogs.senderAddresses.add(args[0]);
+        parsedLogs.receiverAddresses.add(args[1]);
+        return true;
+
+      case 'Deposit(address,uint256)':
+        parsedLogs.deposits.push({ type: 'Deposit', from: args[0], value: String(args[1]), ...base });
+        parsedLogs.senderAddresses.add(args[0]);
+        this.classifyContract(parsedLogs, log.address, 'WrappedNative');
+        return true;
+
+      case 'Withdrawal(address,uint256)':
+        parsedLogs.withdrawals.push({ type: 'Withdrawal', to: args[0], value: String(args[1]), ...base });
+        parsedLogs.receiverAddresses.add(args[0]);
+        this.classifyContract(parsedLogs, log.address, 'WrappedNative');
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Record the token standard of a log emitter. The first classification
+   * wins, except that a wrapped native token also emits ERC-20 events.
+   */
+  classifyContract(parsedLogs, address, type) {
+    if (!address) return;
+    const current = parsedLogs.contractTypes[address];
+    if (!current || (current === 'ERC20' && type === 'WrappedNative')) {
+      parsedLogs.contractTypes[address] = type;
+    }
+  }
+
+  /**
+   * Extract addresses from indexed topics (common pattern: first indexed
+   * address is the sender, second the receiver)
+   */
+  collectTopicAddresses(log, parsedLogs) {
+    for (let i = 1; i < log.topics.length; i++) {
+      const topic = log.topics[i];
+      if (topic.length === 66) { // 32 bytes + 0x
         try {
-          contractState.contractInfo.decimals = await erc20Contract.decimals();
+          const address = ethers.getAddress('0x' + topic.slice(26));
+          if (i === 1) {
+            parsedLogs.senderAddresses.add(address);
+          } else if (i === 2) {
+            parsedLogs.receiverAddresses.add(address);
+          }
         } catch (error) {
-          // Contract might not have decimals
+          // Not an address
         }
+      }
+    }
+  }
 
+  /**
+   * Get contract state information and balance snapshots of every party
+   */
+  async getContractState(contractAddress, parsedLogs, transaction, blockNumber, chainId = DEFAULT_CHAIN_ID) {
+    try {
+      const contractState = {
+        balances: {},
+        snapshotBlocks: null,
+        truncated: null,
+        contractInfo: {}
+      };
+
+      try {
+        const snapshots = await this.getBalanceSnapshots(parsedLogs, transaction, blockNumber, chainId);
+        contractState.balances = snapshots.balances;
+        contractState.snapshotBlocks = snapshots.blocks;
+        contractState.truncated = snapshots.truncated;
       } catch (error) {
-        logger.warn('Failed to get ERC-20 contract info:', error.message);
+        logger.warn(`Failed to read balance snapshots: ${error.message}`);
+      }
+
+      if (contractAddress) {
+        contractState.contractInfo = await tokenMetadataService.getMetadata(contractAddress, { provider: this.getProvider(chainId), chainId });
       }
 
       return contractState;
@@ -288,25 +860,181 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Read the native balance and the balance of every token touched by the
+   * receipt for each party, at the end of the previous block and at the end
+   * of the transaction's block. The "after" state also reflects any other
+   * transactions in the same block. At most MAX_SNAPSHOT_ADDRESSES parties
+   * and MAX_SNAPSHOT_TOKENS tokens are read; `truncated` counts the rest.
+   */
+  async getBalanceSnapshots(parsedLogs, transaction, blockNumber, chainId = DEFAULT_CHAIN_ID) {
+    const blocks = { before: Math.max(blockNumber - 1, 0), after: blockNumber };
+
+    const parties = Array.from(new Set(
+      [transaction.from, transaction.to, ...parsedLogs.senderAddresses, ...parsedLogs.receiverAddresses]
+        .filter(Boolean)
+        .map(address => ethers.getAddress(address))
+        .filter(address => address !== ethers.ZeroAddress)
+    ));
+    const touchedTokens = this.collectTouchedTokens(parsedLogs);
+
+    const addresses = parties.slice(0, MAX_SNAPSHOT_ADDRESSES);
+    const tokens = touchedTokens.slice(0, MAX_SNAPSHOT_TOKENS);
+
+    const snapshots = await mapWithConcurrency(addresses, SNAPSHOT_CONCURRENCY, address => Promise.all([
+      this.snapshotBalance(blockTag => this.getProvider(chainId).getBalance(address, blockTag), blocks),
+      ...tokens.map(token => this.snapshotBalance(blockTag => this.readTokenBalance(token, address, blockTag, chainId), blocks))
+    ]));
+
+    const balances = {};
+    addresses.forEach((address, index) => {
+      const [native, ...tokenSnapshots] = snapshots[index];
+      balances[address] = {
+        native,
+        tokens: tokens.map((token, tokenIndex) => ({ ...token, ...tokenSnapshots[tokenIndex] }))
+      };
+    });
+
+    const truncated = {
+      addresses: parties.length - addresses.length,
+      tokens: touchedTokens.length - tokens.length
+    };
+    return { blocks, balances, truncated };
+  }
+
+  /**
+   * Tokens whose balances the receipt changed, from transfer, deposit and
+   * withdrawal events. ERC-1155 balances are tracked per token id.
+   */
+  collectTouchedTokens(parsedLogs) {
+    const tokens = new Map();
+    const add = (address, standard, tokenId) => {
+      if (!address) return;
+      const token = ethers.getAddress(address);
+      const key = tokenId === undefined ? token : `${token}:${tokenId}`;
+      if (!tokens.has(key)) {
+        tokens.set(key, tokenId === undefined ? { token, standard } : { token, standard, tokenId });
+      }
+    };
+
+    for (const transfer of parsedLogs.transfers) {
+      if (transfer.type === 'ERC1155 Transfer') {
+        add(transfer.address, 'ERC1155', transfer.tokenId);
+      } else {
+        add(transfer.address, transfer.type === 'ERC721 Transfer' ? 'ERC721' : 'ERC20');
+      }
+    }
+    for (const entry of [...parsedLogs.deposits, ...parsedLogs.withdrawals]) {
+      add(entry.address, 'ERC20');
+    }
+
+    return Array.from(tokens.values());
+  }
+
+  /**
+   * Every token contract that emitted a transfer, approval, deposit or
+   * withdrawal
+   */
+  collectTokenAddresses(parsedLogs) {
+    return ['transfers', 'approvals', 'deposits', 'withdrawals']
+      .flatMap(key => parsedLogs[key].map(entry => entry.address))
+      .filter(Boolean);
+  }
+
+  /**
+   * Attach token metadata and a human-readable amount to each token event
+   */
+  annotateAmounts(parsedLogs, tokens) {
+    for (const key of ['transfers', 'approvals', 'deposits', 'withdrawals']) {
+      for (const entry of parsedLogs[key]) {
+        const tokenInfo = entry.address ? tokens[ethers.getAddress(entry.address)] : null;
+        if (!tokenInfo) continue;
+
+        entry.tokenInfo = tokenInfo;
+        if (entry.value === undefined) continue;
+
+        // ERC-1155 amounts are unit counts
+        const decimals = entry.type === 'ERC1155 Transfer' ? 0 : tokenInfo.decimals;
+        if (!Number.isInteger(decimals)) continue;
+
+        entry.formattedValue = entry.unlimited
+          ? `unlimited${tokenInfo.symbol ? ` ${tokenInfo.symbol}` : ''}`
+          : assetLedger.formatAmount(entry.value, decimals, tokenInfo.symbol);
+      }
+    }
+  }
+
+  /**
+   * Read one token balance at a block
+   */
+  async readTokenBalance(token, holder, blockTag, chainId = DEFAULT_CHAIN_ID) {
+    const provider = this.getProvider(chainId);
+    if (token.standard === 'ERC1155') {
+      const contract = new ethers.Contract(token.token, ERC1155_ABI, provider);
+      return contract.balanceOf(holder, token.tokenId, { blockTag });
+    }
+
+    // ERC-721 balanceOf counts the NFTs held
+    const contract = new ethers.Contract(token.token, token.standard === 'ERC721' ? ERC721_ABI : ERC20_ABI, provider);
+    return contract.balanceOf(holder, { blockTag });
+  }
+
+  /**
+   * Read a balance before and after and compute the delta. Nodes that do
+   * not keep historical state fail the "before" read; the error is kept
+   * instead of failing the snapshot.
+   */
+  async snapshotBalance(read, blocks) {
+    const [before, after] = await Promise.allSettled([read(blocks.before), read(blocks.after)]);
+
+    const snapshot = {
+      before: before.status === 'fulfilled' ? before.value.toString() : null,
+      after: after.status === 'fulfilled' ? after.value.toString() : null,
+      delta: null
+    };
+    if (snapshot.before !== null && snapshot.after !== null) {
+      snapshot.delta = (BigInt(snapshot.after) - BigInt(snapshot.before)).toString();
+    }
+
+    const failed = [before, after].find(result => result.status === 'rejected');
+    if (failed) {
+      snapshot.error = failed.reason.shortMessage || failed.reason.message;
+    }
+
+    return snapshot;
+  }
+
   /**
    * Analyze transaction pattern
    */
-  analyzeTransactionPattern(transaction, receipt, parsedLogs) {
+  analyzeTransactionPattern(transaction, receipt, parsedLogs, decodedInput = null) {
     const analysis = {
       type: 'unknown',
+      method: decodedInput ? decodedInput.method : null,
       success: receipt.status === 1,
       hasTransfers: parsedLogs.transfers.length > 0,
+      hasApprovals: parsedLogs.approvals.length > 0,
       hasDeposits: parsedLogs.deposits.length > 0,
+      hasWithdrawals: parsedLogs.withdrawals.length > 0,
+      hasUnlimitedApproval: parsedLogs.approvals.some(approval => approval.unlimited),
       contractType: parsedLogs.contractType,
+      contractTypes: parsedLogs.contractTypes,
       senderCount: parsedLogs.senderAddresses.length,
       receiverCount: parsedLogs.receiverAddresses.length,
-      totalEvents: parsedLogs.transfers.length + parsedLogs.deposits.length + parsedLogs.otherEvents.length
+      totalEvents: new Set(
+        ['transfers', 'approvals', 'deposits', 'withdrawals', 'otherEvents']
+          .flatMap(key => parsedLogs[key].map(entry => entry.logIndex))
+      ).size
     };
 
     if (parsedLogs.transfers.length > 0) {
       analysis.type = 'transfer';
     } else if (parsedLogs.deposits.length > 0) {
       analysis.type = 'deposit';
+    } else if (parsedLogs.withdrawals.length > 0) {
+      analysis.type = 'withdrawal';
+    } else if (parsedLogs.approvals.length > 0) {
+      analysis.type = 'approval';
     } else if (transaction.data && transaction.data !== '0x') {
       analysis.type = 'contract_call';
     } else if (transaction.value > 0) {
@@ -0,0 +1,187 @@
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+const abiFetcher = require('./abiFetcher');
+const signatureService = require('../services/signatureService');
+const { namedArgs } = require('./abiDecoder');
+
+// How deep batched calls (multicall inside multicall, ...) are unpacked
+const MAX_NESTING_DEPTH = 3;
+
+// Address parameters that name the target of a forwarded call
+const TARGET_PARAM_NAMES = ['to', 'target', 'dest', 'destination'];
+
+const isCalldata = value => typeof value === 'string' && /^0x[a-fA-F0-9]{8}/.test(value);
+
+class CalldataDecoder {
+  /**
+   * Decode transaction input into method name and typed arguments, using
+   * the target's ABI when available and the signature database otherwise.
+   * Batched calls (multicall, aggregate, forwarded calls) are decoded
+   * recursively into `calls`.
+   *
+   * `abis` is an optional map of lowercase address to ABI that has
+   * already been fetched; missing targets are fetched on demand from
+   * `chainId`. Pass `nested: false` to skip unpacking batched calls.
+   */
+  async decode(target, data, { abis = {}, chainId, depth = 0, nested = true } = {}) {
+    if (!data || data === '0x') return null;
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const undecoded = { selector, method: null, signature: null, args: null, source: null, confidence: null };
+    if (data.length < 10) return undecoded;
+
+    const abi = target ? await this.getABI(target, abis, chainId) : null;
+    let decoded = abi ? this.decodeWithABI(abi, data) : null;
+
+    if (!decoded) {
+      const inferred = await signatureService.decodeCall(data);
+      if (inferred) {
+        decoded = {
+          method: inferred.name,
+          signature: inferred.signature,
+          args: inferred.args,
+          inputs: this.inputsFor(inferred.signature),
+          source: 'signatures',
+          confidence: inferred.confidence,
+          candidates: inferred.candidates
+        };
+      }
+    }
+
+    if (!decoded) return undecoded;
+
+    const result = {
+      selector,
+      method: decoded.method,
+      signature: decoded.signature,
+      args: decoded.args,
+      source: decoded.source,
+      confidence: decoded.confidence
+    };
+    if (decoded.candidates) {
+      result.candidates = decoded.candidates;
+    }
+
+    if (nested && depth < MAX_NESTING_DEPTH) {
+      const calls = await this.decodeNestedCalls(target, decoded, { abis, chainId, depth });
+      if (calls.length > 0) {
+        result.calls = calls;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode calldata with a contract ABI
+   */
+  decodeWithABI(abi, data) {
+    try {
+      const contractInterface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+      const parsed = contractInterface.parseTransaction({ data });
+      if (!parsed) return null;
+
+      return {
+        method: parsed.name,
+        signature: parsed.signature,
+        args: namedArgs(parsed.fragment.inputs, parsed.args),
+        inputs: parsed.fragment.inputs,
+        source: 'abi',
+        confidence: 'high'
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the ABI for an address from the pre-fetched map or the fetcher
+   */
+  async getABI(address, abis, chainId) {
+    const key = address.toLowerCase();
+    if (!(key in abis)) {
+      try {
+        abis[key] = await abiFetcher.fetchABI(address, chainId);
+      } catch (error) {
+        logger.warn(`Failed to fetch ABI for ${address}: ${error.message}`);
+        abis[key] = null;
+      }
+    }
+    return abis[key];
+  }
+
+  /**
+   * Find calldata embedded in the decoded arguments and decode it:
+   *   - bytes[] arguments (multicall) are calls back into the same contract
+   *   - tuple[] arguments with an address and a bytes field (aggregate) are
+   *     calls to that address
+   *   - a bytes argument next to a to/target address is a forwarded call
+   */
+  async decodeNestedCalls(target, decoded, { abis, chainId, depth }) {
+    const calls = [];
+    const inputs = decoded.inputs;
+    if (!inputs || !decoded.args) return calls;
+
+    const args = Object.values(decoded.args);
+    const forwardTarget = inputs.find(input => input.type === 'address' && TARGET_PARAM_NAMES.includes(input.name));
+
+    for (let i = 0; i < inputs.length; i++) {
+      const input = inputs[i];
+      const value = args[i];
+
+      if (input.type === 'bytes[]' && Array.isArray(value)) {
+        for (const [index, item] of value.entries()) {
+          if (isCalldata(item)) {
+            calls.push({
+              index,
+              target,
+              ...await this.decode(target, item, { abis, chainId, depth: depth + 1 })
+            });
+          }
+        }
+      } else if (input.baseType === 'array' && input.arrayChildren.baseType === 'tuple' && Array.isArray(value)) {
+        // Tuples are decoded into objects keyed in component order
+        const components = input.arrayChildren.components;
+        const addressIndex = components.findIndex(component => component.type === 'address');
+        const bytesIndex = components.findIndex(component => component.type === 'bytes');
+        if (addressIndex === -1 || bytesIndex === -1) continue;
+
+        for (const [index, item] of value.entries()) {
+          const fields = Object.values(item);
+          const callTarget = fields[addressIndex];
+          const callData = fields[bytesIndex];
+          if (isCalldata(callData)) {
+            calls.push({
+              index,
+              target: callTarget,
+              ...await this.decode(callTarget, callData, { abis, chainId, depth: depth + 1 })
+            });
+          }
+        }
+      } else if (input.type === 'bytes' && forwardTarget && isCalldata(value)) {
+        const callTarget = args[inputs.indexOf(forwardTarget)];
+        calls.push({
+          index: calls.length,
+          target: callTarget,
+          ...await this.decode(callTarget, value, { abis, chainId, depth: depth + 1 })
+        });
+      }
+    }
+
+    return calls;
+  }
+
+  /**
+   * Parameter types for a signature-database match
+   */
+  inputsFor(signature) {
+    if (!signature) return null;
+    try {
+      return ethers.FunctionFragment.from(signature).inputs;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new CalldataDecoder();
@@ -0,0 +1,21 @@
+/**
+ * Map items through an async function with at most `limit` calls running,
+ * keeping the results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,144 @@
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/database');
+
+// Pending transactions are remembered this long, so that a hash that later
+// disappears from the mempool can still be reported as dropped or replaced
+const PENDING_RECORD_TTL = 7 * 24 * 3600;
+
+// Records kept in memory when Redis is not connected
+const MAX_MEMORY_RECORDS = 1000;
+
+class PendingTracker {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Redis client, resolved on use since the connection is opened after
+   * this module is loaded
+   */
+  get redisClient() {
+    return getRedisClient();
+  }
+
+  /**
+   * Record a transaction seen unmined at `blockNumber`, keeping the time
+   * and block it was first seen. Returns the stored record.
+   */
+  async remember(chainId, transaction, blockNumber) {
+    const key = `${chainId}:${transaction.hash.toLowerCase()}`;
+    const previous = await this.getRecord(key);
+
+    const record = {
+      hash: transaction.hash,
+      from: transaction.from,
+      to: transaction.to,
+      nonce: transaction.nonce,
+      value: transaction.value.toString(),
+      data: transaction.data,
+      type: transaction.type,
+      gasLimit: transaction.gasLimit.toString(),
+      gasPrice: transaction.gasPrice !== null ? transaction.gasPrice.toString() : null,
+      maxFeePerGas: transaction.maxFeePerGas !== null ? transaction.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: transaction.maxPriorityFeePerGas !== null ? transaction.maxPriorityFeePerGas.toString() : null,
+      firstSeenAt: previous ? previous.firstSeenAt : new Date().toISOString(),
+      firstSeenBlock: previous ? previous.firstSeenBlock : blockNumber
+    };
+
+    await this.setRecord(key, record);
+    return record;
+  }
+
+  /**
+   * Record of a transaction previously seen unmined, or null
+   */
+  async recall(chainId, txHash) {
+    return this.getRecord(`${chainId}:${txHash.toLowerCase()}`);
+  }
+
+  /**
+   * Find the mined transaction that used the record's nonce: binary search
+   * for the block where the sender's nonce moved past it, then look for
+   * the sender's transaction in that block. Returns null when the nodes
+   * cannot serve historical nonces.
+   */
+  async findReplacement(provider, record, latestBlock) {
+    try {
+      let low = record.firstSeenBlock;
+      let high = latestBlock;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const nonce = await provider.getTransactionCount(record.from, middle);
+        if (nonce > record.nonce) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+
+      const block = await provider.getBlock(high, true);
+      const from = record.from.toLowerCase();
+      const replacement = block && block.prefetchedTransactions.find(tx => tx.from.toLowerCase() === from && tx.nonce === record.nonce);
+      if (!replacement) return null;
+
+      return {
+        hash: replacement.hash,
+        blockNumber: block.number,
+        kind: this.classifyReplacement(record, replacement)
+      };
+    } catch (error) {
+      logger.warn(`Failed to find the replacement of ${record.hash}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * `cancel` for an empty transaction to the sender itself, `speed-up` for
+   * the same call resubmitted, `replacement` for anything else
+   */
+  classifyReplacement(record, replacement) {
+    const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+    if (sameAddress(replacement.to, record.from) && replacement.value === 0n && replacement.data === '0x') {
+      return 'cancel';
+    }
+    if ((replacement.to === record.to || sameAddress(replacement.to, record.to)) &&
+        replacement.data === record.data &&
+        replacement.value.toString() === record.value) {
+      return 'speed-up';
+    }
+    return 'replacement';
+  }
+
+  async getRecord(key) {
+    if (this.records.has(key)) {
+      return this.records.get(key);
+    }
+    if (!this.redisClient) return null;
+
+    try {
+      const cached = await this.redisClient.get(`pending:${key}`);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.warn(`Failed to read pending record ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async setRecord(key, record) {
+    this.records.delete(key);
+    this.records.set(key, record);
+    if (this.records.size > MAX_MEMORY_RECORDS) {
+      this.records.delete(this.records.keys().next().value);
+    }
+    if (!this.redisClient) return;
+
+    try {
+      await this.redisClient.setEx(`pending:${key}`, PENDING_RECORD_TTL, JSON.stringify(record));
+    } catch (error) {
+      logger.warn(`Failed to store pending record ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PendingTracker();
@@ -0,0 +1,86 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (including cloud metadata endpoints),
+// carrier-grade NAT, multicast and otherwise unroutable ranges
+const NON_PUBLIC = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address can be reached on the public internet
+ */
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 addresses reach the IPv4 address they embed
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return family !== null && !NON_PUBLIC.check(address, family);
+};
+
+/**
+ * Resolve the host of a URL and throw unless every address it resolves to
+ * is public
+ */
+const assertPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses = [hostname];
+  if (!net.isIP(hostname)) {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new Error(`URL host ${hostname} could not be resolved: ${error.code || error.message}`);
+    }
+  }
+
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  if (blocked) {
+    throw new Error(`URL host ${hostname} resolves to a non-public address (${blocked})`);
+  }
+};
+
+/**
+ * `dns.lookup` for HTTP agents that fails on non-public addresses. Checked
+ * as the connection is made, so a host cannot resolve to a public address
+ * when validated and to a private one when requested.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(entry => !isPublicAddress(entry));
+    if (blocked) {
+      return callback(new Error(`URL host ${hostname} resolves to a non-public address (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  publicLookup
+};
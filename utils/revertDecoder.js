@@ -0,0 +1,136 @@
+const { ethers } = require('ethers');
+const signatureService = require('../services/signatureService');
+const { namedArgs } = require('./abiDecoder');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Solidity panic codes (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+const PANIC_CODES = {
+  0x00: 'Generic compiler inserted panic',
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Invalid storage byte array encoding',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory or array too large',
+  0x51: 'Call to an uninitialized function pointer'
+};
+
+/**
+ * Decode revert data as Error(string), Panic(uint256), a custom error from
+ * the contract ABI, or a custom error from the signature database
+ */
+const decodeRevertData = async (data, abi = null) => {
+  if (!data || data === '0x') {
+    return {
+      type: 'Empty',
+      message: 'Reverted without a reason',
+      data: data || '0x'
+    };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    try {
+      const [reason] = abiCoder.decode(['string'], '0x' + data.slice(10));
+      return { type: 'Error', message: reason, data };
+    } catch (error) {
+      // Malformed Error(string), fall through to unknown
+    }
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    try {
+      const [code] = abiCoder.decode(['uint256'], '0x' + data.slice(10));
+      const description = PANIC_CODES[Number(code)] || 'Unknown panic code';
+      return {
+        type: 'Panic',
+        message: `Panic 0x${code.toString(16).padStart(2, '0')}: ${description}`,
+        panicCode: Number(code),
+        data
+      };
+    } catch (error) {
+      // Malformed Panic(uint256), fall through to unknown
+    }
+  }
+
+  if (abi) {
+    try {
+      const contractInterface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+      const parsed = contractInterface.parseError(data);
+      if (parsed) {
+        return {
+          type: 'CustomError',
+          message: parsed.signature,
+          error: {
+            name: parsed.name,
+            signature: parsed.signature,
+            args: namedArgs(parsed.fragment.inputs, parsed.args),
+            source: 'abi',
+            confidence: 'high'
+          },
+          data
+        };
+      }
+    } catch (error) {
+      // Not an error declared in the ABI
+    }
+  }
+
+  const inferred = await signatureService.decodeError(data);
+  if (inferred) {
+    return {
+      type: 'CustomError',
+      message: inferred.signature,
+      error: {
+        name: inferred.name,
+        signature: inferred.signature,
+        args: inferred.args,
+        source: 'signatures',
+        confidence: inferred.confidence,
+        candidates: inferred.candidates
+      },
+      data
+    };
+  }
+
+  return {
+    type: 'Unknown',
+    message: `Unrecognized revert data with selector ${selector}`,
+    data
+  };
+};
+
+/**
+ * Pull revert data out of the error thrown by a reverted eth_call. Providers
+ * nest it differently, so several locations are checked.
+ */
+const extractRevertData = (error) => {
+  const candidates = [
+    error && error.data,
+    error && error.info && error.info.error && error.info.error.data,
+    error && error.error && error.error.data
+  ];
+
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && /^0x[a-fA-F0-9]*$/.test(candidate)) {
+      return candidate;
+    }
+    if (candidate && typeof candidate.data === 'string') {
+      return candidate.data;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  PANIC_CODES,
+  decodeRevertData,
+  extractRevertData
+};
@@ -0,0 +1,311 @@
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+
+// Attempts per call across the pool, and the backoff between them
+const MAX_ATTEMPTS = parseInt(process.env.RPC_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RPC_RETRY_BASE_MS) || 250;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS) || 15000;
+
+// Endpoints failing this many calls in a row, or rate limiting us, are
+// skipped for the cooldown period
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS) || 30000;
+
+// Weight of the latest call in an endpoint's moving health score
+const SCORE_ALPHA = 0.2;
+
+// Endpoints that must return the same answer for critical reads (1 = off)
+const DEFAULT_QUORUM = parseInt(process.env.RPC_QUORUM) || 1;
+
+// Fields compared between endpoints for quorum reads. Nodes add
+// client-specific fields, so whole responses are not compared.
+const QUORUM_FIELDS = {
+  getTransaction: ['hash', 'blockHash', 'blockNumber', 'from', 'to', 'value', 'input', 'nonce'],
+  getTransactionReceipt: ['transactionHash', 'blockHash', 'blockNumber', 'status', 'gasUsed', 'logs']
+};
+
+// ethers error codes and JSON-RPC codes worth retrying elsewhere
+const TRANSIENT_ERROR_CODES = ['TIMEOUT', 'SERVER_ERROR', 'NETWORK_ERROR', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'];
+const TRANSIENT_RPC_CODES = [-32005, -32603, 429];
+const TRANSIENT_PATTERN = /rate limit|too many requests|timeout|timed out|header not found|try again/i;
+const RATE_LIMIT_PATTERN = /rate limit|too many requests/i;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const rpcErrorOf = error => (error.info && error.info.error) || error.error || {};
+
+/**
+ * Whether another attempt may succeed. Reverts, bad arguments and
+ * unsupported methods are answers, not failures, and are returned as is.
+ */
+const isTransient = (error) => {
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) return true;
+  if (TRANSIENT_RPC_CODES.includes(rpcErrorOf(error).code)) return true;
+  return TRANSIENT_PATTERN.test(rpcErrorOf(error).message || error.message || '');
+};
+
+const isRateLimited = (error) => {
+  if (error.response && error.response.statusCode === 429) return true;
+  const rpcError = rpcErrorOf(error);
+  return rpcError.code === -32005 || rpcError.code === 429 || RATE_LIMIT_PATTERN.test(rpcError.message || error.message || '');
+};
+
+/**
+ * Comparable form of a raw RPC result for quorum reads
+ */
+const fingerprint = (method, result) => {
+  if (result == null) return 'null';
+  const fields = QUORUM_FIELDS[method];
+  if (!fields) return JSON.stringify(result);
+
+  return JSON.stringify(fields.map(field => {
+    const value = result[field];
+    if (field === 'logs' && Array.isArray(value)) {
+      return value.map(log => [log.address, log.data, ...(log.topics || [])].join(':').toLowerCase());
+    }
+    return typeof value === 'string' ? value.toLowerCase() : value;
+  }));
+};
+
+/**
+ * Host of an endpoint URL, so API keys in paths or queries are not logged
+ */
+const endpointLabel = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+};
+
+/**
+ * Provider over every RPC endpoint of a chain. Calls go to the healthiest
+ * endpoint and fail over to the next on timeouts, rate limits and server
+ * errors, with exponential backoff between attempts. Transactions and
+ * receipts can be read from several endpoints at once and only accepted
+ * when `quorum` of them agree.
+ */
+class RpcPool extends ethers.AbstractProvider {
+  constructor(chain) {
+    const network = ethers.Network.from(chain.chainId);
+    super(network);
+
+    this.chainId = chain.chainId;
+    this.chainName = chain.name;
+    this.quorum = Math.min(chain.quorum || DEFAULT_QUORUM, chain.rpcUrls.length);
+    this.endpoints = chain.rpcUrls.map(url => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = REQUEST_TIMEOUT_MS;
+      // Rate limits are handled by failing over, not by waiting in ethers
+      request.retryFunc = async () => false;
+
+      return {
+        label: endpointLabel(url),
+        provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network }),
+        score: 1,
+        latencyMs: null,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        lastError: null
+      };
+    });
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(this.chainId);
+  }
+
+  /**
+   * Run an ethers provider request, with a quorum for critical reads
+   */
+  async _perform(req) {
+    if (this.quorum > 1 && QUORUM_FIELDS[req.method]) {
+      return this.executeQuorum(req);
+    }
+    return this.execute(req.method, provider => provider._perform(req));
+  }
+
+  /**
+   * Send a raw JSON-RPC request (e.g. debug_traceTransaction)
+   */
+  async send(method, params) {
+    return this.execute(method, provider => provider.send(method, params));
+  }
+
+  /**
+   * Endpoints in the order they should be tried: those not cooling down by
+   * score and latency, or all of them by cooldown expiry if none are left
+   */
+  rankEndpoints() {
+    const now = Date.now();
+    const available = this.endpoints.filter(endpoint => endpoint.cooldownUntil <= now);
+    if (available.length === 0) {
+      return [...this.endpoints].sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    }
+    return available.sort((a, b) => (b.score - a.score) || ((a.latencyMs || 0) - (b.latencyMs || 0)));
+  }
+
+  /**
+   * Call `fn` with endpoint providers until one succeeds or the attempts
+   * run out
+   */
+  async execute(operation, fn) {
+    const ranked = this.rankEndpoints();
+    let lastError;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        await wait(this.backoff(attempt));
+      }
+
+      const endpoint = ranked[attempt % ranked.length];
+      const { result, error } = await this.attempt(endpoint, fn);
+      if (!error) return result;
+      if (!isTransient(error)) throw error;
+
+      lastError = error;
+      logger.warn(`RPC ${operation} failed on ${endpoint.label} (attempt ${attempt + 1}/${MAX_ATTEMPTS}): ${error.shortMessage || error.message}`);
+    }
+
+    throw this.unavailableError(operation, lastError);
+  }
+
+  /**
+   * Read from every available endpoint and return the answer at least
+   * `quorum` of them agree on. Endpoints that have not seen a transaction
+   * yet disagree with those that have, so rounds are retried.
+   */
+  async executeQuorum(req) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        await wait(this.backoff(attempt));
+      }
+
+      const outcomes = await Promise.all(this.rankEndpoints().map(endpoint => this.attempt(endpoint, provider => provider._perform(req))));
+
+      const votes = new Map();
+      for (const { result, error } of outcomes) {
+        if (error) {
+          if (!isTransient(error)) throw error;
+          lastError = error;
+          continue;
+        }
+        const key = fingerprint(req.method, result);
+        const vote = votes.get(key) || { result, count: 0 };
+        vote.count++;
+        votes.set(key, vote);
+      }
+
+      for (const { result, count } of votes.values()) {
+        if (count >= this.quorum) return result;
+      }
+
+      if (votes.size > 1) {
+        lastError = new Error(`RPC endpoints disagree on ${req.method} for ${this.chainName}`);
+      }
+      logger.warn(`RPC quorum of ${this.quorum} not reached for ${req.method} (attempt ${attempt + 1}/${MAX_ATTEMPTS})`);
+    }
+
+    if (lastError && !isTransient(lastError)) throw lastError;
+    throw this.unavailableError(req.method, lastError);
+  }
+
+  /**
+   * One call on one endpoint, recorded in its health
+   */
+  async attempt(endpoint, fn) {
+    const started = Date.now();
+    try {
+      const result = await fn(endpoint.provider);
+      this.recordSuccess(endpoint, Date.now() - started);
+      return { result };
+    } catch (error) {
+      if (isTransient(error)) {
+        this.recordFailure(endpoint, error);
+      } else {
+        // The endpoint answered; the request itself was bad or reverted
+        this.recordSuccess(endpoint, Date.now() - started);
+      }
+      return { error };
+    }
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.score = endpoint.score * (1 - SCORE_ALPHA) + SCORE_ALPHA;
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(endpoint.latencyMs * (1 - SCORE_ALPHA) + latencyMs * SCORE_ALPHA);
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.score = endpoint.score * (1 - SCORE_ALPHA);
+    endpoint.lastError = { message: error.shortMessage || error.message, at: new Date().toISOString() };
+
+    if (isRateLimited(error) || endpoint.consecutiveFailures >= FAILURE_THRESHOLD) {
+      endpoint.cooldownUntil = Date.now() + COOLDOWN_MS;
+      logger.warn(`RPC endpoint ${endpoint.label} on ${this.chainName} cooling down for ${COOLDOWN_MS}ms`);
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter before the given attempt
+   */
+  backoff(attempt) {
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+    return delay + Math.floor(Math.random() * delay / 2);
+  }
+
+  unavailableError(operation, cause) {
+    const reason = cause ? `: ${cause.shortMessage || cause.message}` : '';
+    const error = new Error(`RPC unavailable for ${this.chainName} (${operation})${reason}`);
+    error.cause = cause;
+    return error;
+  }
+
+  /**
+   * Probe every endpoint with eth_blockNumber
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(endpoint => this.attempt(endpoint, provider => provider.getBlockNumber())));
+    return this.getHealth();
+  }
+
+  /**
+   * Health of each endpoint, for logs and the health check
+   */
+  getHealth() {
+    const now = Date.now();
+    return {
+      chainId: this.chainId,
+      name: this.chainName,
+      quorum: this.quorum,
+      endpoints: this.endpoints.map(endpoint => ({
+        endpoint: endpoint.label,
+        healthy: endpoint.cooldownUntil <= now && endpoint.consecutiveFailures === 0,
+        score: Math.round(endpoint.score * 100) / 100,
+        latencyMs: endpoint.latencyMs,
+        successes: endpoint.successes,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError
+      }))
+    };
+  }
+
+  destroy() {
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+}
+
+module.exports = RpcPool;
@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+
+// Optional fields of an EIP-4361 message, by their label
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const invalid = (reason) => new Error(`Invalid SIWE message: ${reason}`);
+
+const parseTime = (value, label) => {
+  if (value === undefined) return null;
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw invalid(`${label} is not an ISO 8601 date`);
+  }
+  return time;
+};
+
+/**
+ * Parse a Sign-In with Ethereum (EIP-4361) message into its fields.
+ * Throws `Invalid SIWE message: ...` when it does not follow the format.
+ */
+const parseSiweMessage = (message) => {
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw invalid('missing the sign-in header');
+  }
+  const domain = lines[0].slice(0, -HEADER_SUFFIX.length);
+
+  if (!ethers.isAddress(lines[1])) {
+    throw invalid('missing the account address');
+  }
+  // EIP-4361 requires the checksummed form
+  if (ethers.getAddress(lines[1]) !== lines[1]) {
+    throw invalid('address is not EIP-55 checksummed');
+  }
+
+  // The statement is the free text between the address and the URI line
+  let index = 2;
+  const statementLines = [];
+  while (index < lines.length && !lines[index].startsWith('URI: ')) {
+    if (lines[index].trim()) statementLines.push(lines[index]);
+    index++;
+  }
+
+  const fields = {};
+  const resources = [];
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === 'Resources:') {
+      for (index++; index < lines.length && lines[index].startsWith('- '); index++) {
+        resources.push(lines[index].slice(2));
+      }
+      break;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = separator > 0 ? FIELDS[line.slice(0, separator)] : undefined;
+    if (!key) {
+      throw invalid(`unexpected line "${line}"`);
+    }
+    fields[key] = line.slice(separator + 2);
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[required]) {
+      throw invalid(`missing ${required}`);
+    }
+  }
+  if (fields.version !== '1') {
+    throw invalid(`unsupported version ${fields.version}`);
+  }
+  if (!/^\d+$/.test(fields.chainId)) {
+    throw invalid('chain ID must be an integer');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw invalid('nonce must be at least 8 alphanumeric characters');
+  }
+
+  return {
+    domain,
+    address: lines[1],
+    statement: statementLines.join('\n') || null,
+    uri: fields.uri,
+    version: fields.version,
+    chainId: parseInt(fields.chainId),
+    nonce: fields.nonce,
+    issuedAt: parseTime(fields.issuedAt, 'Issued At'),
+    expirationTime: parseTime(fields.expirationTime, 'Expiration Time'),
+    notBefore: parseTime(fields.notBefore, 'Not Before'),
+    requestId: fields.requestId || null,
+    resources
+  };
+};
+
+module.exports = {
+  parseSiweMessage
+};
@@ -0,0 +1,107 @@
+const { ethers } = require('ethers');
+const calldataDecoder = require('./calldataDecoder');
+const { decodeRevertData } = require('./revertDecoder');
+
+// Frames beyond this many are kept in the tree but not decoded, so deep
+// traces do not trigger an ABI lookup for every contract they touch
+const MAX_DECODED_FRAMES = 50;
+
+const toDecimal = value => (value ? BigInt(value).toString() : '0');
+
+class TraceAnalyzer {
+  /**
+   * Turn a callTracer result into a call tree with decoded methods, value
+   * in decimal and revert flags. A frame is `reverted` when it failed
+   * itself or sits inside a failed parent, since its effects were undone.
+   */
+  async buildCallTree(rootFrame, { abis = {}, chainId } = {}) {
+    const state = { decoded: 0, abis, chainId };
+    return this.buildFrame(rootFrame, 0, false, state);
+  }
+
+  async buildFrame(frame, depth, parentReverted, state) {
+    const failed = Boolean(frame.error);
+    // callTracer reports lowercase addresses; checksum them like the
+    // addresses parsed from logs so both can be compared and merged
+    const node = {
+      type: frame.type,
+      from: ethers.getAddress(frame.from),
+      to: frame.to ? ethers.getAddress(frame.to) : null,
+      value: toDecimal(frame.value),
+      gasUsed: toDecimal(frame.gasUsed),
+      input: frame.input || '0x',
+      method: null,
+      depth,
+      error: frame.error || null,
+      reverted: failed || parentReverted,
+      calls: []
+    };
+
+    if (state.decoded < MAX_DECODED_FRAMES && node.to && node.input !== '0x') {
+      state.decoded++;
+      const decoded = await calldataDecoder.decode(node.to, node.input, { abis: state.abis, chainId: state.chainId, nested: false });
+      node.method = decoded ? decoded.method : null;
+    }
+
+    if (failed) {
+      node.revert = frame.output
+        ? await decodeRevertData(frame.output, node.to ? state.abis[node.to.toLowerCase()] : null)
+        : { type: 'Unknown', message: frame.revertReason || frame.error };
+    }
+
+    for (const child of frame.calls || []) {
+      node.calls.push(await this.buildFrame(child, depth + 1, node.reverted, state));
+    }
+
+    return node;
+  }
+
+  /**
+   * Walk the tree depth first
+   */
+  flatten(node, frames = []) {
+    frames.push(node);
+    for (const child of node.calls) {
+      this.flatten(child, frames);
+    }
+    return frames;
+  }
+
+  /**
+   * Native value moved by internal calls (depth > 0) that were not undone,
+   * and every frame that failed
+   */
+  summarize(tree) {
+    const frames = this.flatten(tree);
+
+    const internalTransfers = frames
+      .filter(frame => frame.depth > 0 && !frame.reverted && frame.value !== '0' && frame.type !== 'DELEGATECALL')
+      .map(frame => ({
+        type: 'Internal Transfer',
+        callType: frame.type,
+        from: frame.from,
+        to: frame.to,
+        value: frame.value,
+        depth: frame.depth
+      }));
+
+    const revertedCalls = frames
+      .filter(frame => frame.error)
+      .map(frame => ({
+        from: frame.from,
+        to: frame.to,
+        method: frame.method,
+        depth: frame.depth,
+        error: frame.error,
+        revert: frame.revert
+      }));
+
+    return {
+      internalTransfers,
+      revertedCalls,
+      totalCalls: frames.length
+    };
+  }
+}
+
+module.exports = new TraceAnalyzer();
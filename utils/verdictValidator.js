@@ -0,0 +1,150 @@
+// Structured verdict returned by the AI dispute analysis
+const VERDICTS = ['REFUND', 'NO_REFUND', 'NOT_POSSIBLE'];
+
+// Shown to the model so it knows exactly what to return
+const VERDICT_SCHEMA_DESCRIPTION = `{
+  "verdict": "REFUND" | "NO_REFUND" | "NOT_POSSIBLE",
+  "confidence": number between 0 and 1,
+  "refund": {
+    "amount": string of base units (e.g. wei) or null,
+    "token": token symbol or contract address, "native" for the chain currency, or null
+  },
+  "citedLogIndexes": array of integer logIndex values from the contract logs that support the verdict,
+  "reasoning": string explaining what happened and why this verdict was chosen
+}`;
+
+// Verdicts over several transactions cite logs by transaction, since every
+// transaction numbers its logs from 0
+const SEQUENCE_VERDICT_SCHEMA_DESCRIPTION = VERDICT_SCHEMA_DESCRIPTION.replace(
+  /"citedLogIndexes": .*,/,
+  '"citedLogs": array of { "txHash": transaction hash, "logIndex": integer } for the log entries that support the verdict,'
+);
+
+/**
+ * Pull the JSON object out of a model reply, tolerating code fences and
+ * surrounding prose
+ */
+const extractJson = (text) => {
+  if (typeof text !== 'string') {
+    throw new Error('Reply is not text');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Reply does not contain a JSON object');
+  }
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Reply is not valid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Check `citedLogs` of a sequence verdict against the logIndexes known per
+ * lowercase transaction hash, returning them with lowercase hashes
+ */
+const validateCitedLogs = (value, knownLogs, errors) => {
+  const cited = value.citedLogs == null ? [] : value.citedLogs;
+  const isCitation = entry => entry && typeof entry === 'object' && typeof entry.txHash === 'string' &&
+    Number.isInteger(entry.logIndex) && entry.logIndex >= 0;
+  if (!Array.isArray(cited) || !cited.every(isCitation)) {
+    errors.push('citedLogs must be an array of { txHash, logIndex } objects with non-negative integer logIndex');
+    return [];
+  }
+
+  const citedLogs = cited.map(entry => ({ txHash: entry.txHash.toLowerCase(), logIndex: entry.logIndex }));
+  const unknown = citedLogs.filter(entry => !(knownLogs[entry.txHash] || []).includes(entry.logIndex));
+  if (unknown.length > 0) {
+    errors.push(`citedLogs contains logs not present in the transactions: ${unknown.map(entry => `${entry.txHash}#${entry.logIndex}`).join(', ')}`);
+  }
+  return citedLogs;
+};
+
+/**
+ * Validate a parsed verdict object and return a normalized copy.
+ * Throws with a description of every problem so it can be sent back to
+ * the model when re-asking. With `knownLogs` (logIndexes per lowercase
+ * transaction hash), the verdict is over a sequence and cites `citedLogs`
+ * instead of `citedLogIndexes`.
+ */
+const validateVerdict = (value, { knownLogIndexes = [], knownLogs = null } = {}) => {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Verdict must be a JSON object');
+  }
+
+  const verdict = typeof value.verdict === 'string'
+    ? value.verdict.trim().toUpperCase().replace(/[\s-]+/g, '_')
+    : value.verdict;
+  if (!VERDICTS.includes(verdict)) {
+    errors.push(`verdict must be one of ${VERDICTS.join(', ')}`);
+  }
+
+  const confidence = typeof value.confidence === 'string' ? Number(value.confidence) : value.confidence;
+  if (typeof confidence !== 'number' || !Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+
+  const refund = value.refund == null ? { amount: null, token: null } : value.refund;
+  if (typeof refund !== 'object' || Array.isArray(refund)) {
+    errors.push('refund must be an object with amount and token');
+  } else {
+    if (refund.amount != null && !/^\d+$/.test(String(refund.amount))) {
+      errors.push('refund.amount must be a non-negative integer string in base units or null');
+    }
+    if (refund.token != null && typeof refund.token !== 'string') {
+      errors.push('refund.token must be a string or null');
+    }
+  }
+
+  const citedLogs = knownLogs ? validateCitedLogs(value, knownLogs, errors) : null;
+
+  const cited = knownLogs || value.citedLogIndexes == null ? [] : value.citedLogIndexes;
+  if (!Array.isArray(cited) || !cited.every(index => Number.isInteger(index) && index >= 0)) {
+    errors.push('citedLogIndexes must be an array of non-negative integers');
+  } else if (knownLogIndexes.length > 0) {
+    const unknown = cited.filter(index => !knownLogIndexes.includes(index));
+    if (unknown.length > 0) {
+      errors.push(`citedLogIndexes contains indexes not present in the logs: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (typeof value.reasoning !== 'string' || value.reasoning.trim() === '') {
+    errors.push('reasoning must be a non-empty string');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  return {
+    verdict,
+    confidence,
+    refund: {
+      amount: refund.amount == null ? null : String(refund.amount),
+      token: refund.token == null ? null : refund.token
+    },
+    ...(citedLogs ? { citedLogs } : { citedLogIndexes: cited }),
+    reasoning: value.reasoning.trim()
+  };
+};
+
+/**
+ * Parse and validate a raw model reply
+ */
+const parseVerdict = (text, options) => validateVerdict(extractJson(text), options);
+
+module.exports = {
+  VERDICTS,
+  VERDICT_SCHEMA_DESCRIPTION,
+  SEQUENCE_VERDICT_SCHEMA_DESCRIPTION,
+  extractJson,
+  validateVerdict,
+  parseVerdict
+};